@@ -0,0 +1,202 @@
+import { describeError } from './errors.js';
+import { requestJson } from './structured.js';
+import { getActorSchema } from './actor-schemas.js';
+
+/**
+ * NPC generator for the Divination module
+ *
+ * The generator asks the model for an NPC as JSON matching the actor schema of the world's game
+ * system (see actor-schemas.js), shows a preview, and creates the Actor with its items and
+ * biography when the user accepts it.
+ */
+
+/**
+ * Whether the current user can create the generated actors
+ * @returns {boolean} - Whether the user may create actors
+ */
+export function canGenerateActors() {
+  return game.user.can('ACTOR_CREATE');
+}
+
+/**
+ * Ask the model for an NPC
+ * @param {string} description - What the NPC should be, e.g. "a nervous goblin merchant"
+ * @param {Object} [options] - Generation options
+ * @param {AbortSignal} [options.signal] - Aborts the request when signalled
+ * @param {Function} [options.onRepair] - Called with (attempt, errors) before each repair request
+ * @returns {Promise<Object>} - The reply, validated against the system's actor schema
+ */
+export async function generateActor(description, { signal = null, onRepair = null } = {}) {
+  const definition = getActorSchema();
+  return requestJson({
+    instructions: `${definition.instructions} The game is played with ${game.system.title}.`,
+    prompt: `Create this NPC: ${description}`,
+    schema: definition.schema,
+    signal: signal,
+    onRepair: onRepair
+  });
+}
+
+/**
+ * Create the Actor for a generated NPC
+ * @param {Object} data - The reply returned by generateActor
+ * @returns {Promise<Actor>} - The created actor
+ */
+export async function createGeneratedActor(data) {
+  return Actor.create(getActorSchema().toActorData(data));
+}
+
+/**
+ * Window for describing an NPC, previewing what the model generated and creating the actor
+ */
+export class ActorGenerator extends Application {
+  /**
+   * @param {Object} [options] - Application options
+   * @param {string} [options.description] - The description to start with
+   */
+  constructor(options = {}) {
+    super(options);
+    this.description = options.description || "";
+    this.data = null;
+    this.status = "";
+    this.error = null;
+    this.abortController = null;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'divination-actor-generator',
+      title: "Divination: Generate NPC",
+      template: 'modules/divination/templates/actor-generator.hbs',
+      classes: ['divination-actor-generator'],
+      width: 520,
+      height: 640,
+      resizable: true
+    });
+  }
+
+  /**
+   * Open the generator, reusing the open one if there is one
+   * @param {string} [description] - A description to generate an NPC from right away
+   * @returns {ActorGenerator} - The generator
+   */
+  static open(description = "") {
+    const generator = Object.values(ui.windows).find(app => app instanceof ActorGenerator) || new ActorGenerator();
+    if (description && !generator.abortController) generator.description = description;
+    generator.render(true);
+    if (description) generator.generate();
+    return generator;
+  }
+
+  /**
+   * @returns {Object} - The template data
+   */
+  getData() {
+    const definition = getActorSchema();
+    let error = null;
+    if (this.error) {
+      const { title, hint } = describeError(this.error);
+      error = { title, hint, message: this.error.message };
+    }
+
+    return {
+      description: this.description,
+      format: definition.label,
+      generating: Boolean(this.abortController),
+      status: this.status,
+      error: error,
+      preview: this.data ? definition.preview(this.data) : null
+    };
+  }
+
+  /**
+   * Activate listeners for the generator
+   * @param {jQuery} html - The rendered generator
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('textarea[name="description"]').on('input', (event) => {
+      this.description = event.currentTarget.value;
+    });
+
+    html.find('.divination-generate').on('click', (event) => {
+      event.preventDefault();
+      this.generate();
+    });
+
+    html.find('.divination-generate-stop').on('click', (event) => {
+      event.preventDefault();
+      this.abortController?.abort();
+    });
+
+    html.find('.divination-generate-create').on('click', async (event) => {
+      event.preventDefault();
+      await this.createActor();
+    });
+  }
+
+  /**
+   * Generate an NPC from the description
+   * @returns {Promise<void>}
+   */
+  async generate() {
+    if (this.abortController) return;
+    if (!this.description.trim()) {
+      ui.notifications.warn("Describe the NPC to generate first.");
+      return;
+    }
+
+    this.abortController = new AbortController();
+    this.error = null;
+    this.status = "Generating...";
+    this.render();
+
+    try {
+      this.data = await generateActor(this.description.trim(), {
+        signal: this.abortController.signal,
+        onRepair: (attempt) => {
+          this.status = `The reply didn't match the format. Asking for a fix (${attempt})...`;
+          this.render();
+        }
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error("Divination | Error generating an NPC", error);
+        this.error = error;
+      }
+    } finally {
+      this.abortController = null;
+      this.status = "";
+      this.render();
+    }
+  }
+
+  /**
+   * Create the previewed actor and open its sheet
+   * @returns {Promise<void>}
+   */
+  async createActor() {
+    if (!this.data) return;
+    try {
+      const actor = await createGeneratedActor(this.data);
+      if (!actor) return;
+      ui.notifications.info(`Created ${actor.name}.`);
+      actor.sheet.render(true);
+      this.close();
+    } catch (error) {
+      console.error("Divination | Error creating the generated actor", error);
+      ui.notifications.error(`Could not create the actor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a running request when the window is closed
+   * @param {Object} [options] - Close options
+   * @returns {Promise<void>}
+   */
+  async close(options) {
+    this.abortController?.abort();
+    return super.close(options);
+  }
+}
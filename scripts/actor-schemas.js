@@ -0,0 +1,340 @@
+import { escapeHtml } from './utils.js';
+import { BIOGRAPHY_PATHS } from './npc.js';
+
+/**
+ * Actor schemas for the NPC generator
+ *
+ * Each game system gets a definition telling the model what JSON to write and how to turn it
+ * into an Actor:
+ * - label: Name of the format, shown in the generator
+ * - instructions: What the model should write, placed before the schema in the system prompt
+ * - schema: The JSON schema the reply must match
+ * - preview(data): Summarizes the reply for the preview ({ name, subtitle, stats, items, biography })
+ * - toActorData(data): Builds the data passed to Actor.create, including embedded items
+ *
+ * Definitions ship for dnd5e, with a generic fallback for other systems. Other modules can add
+ * their own with Divination.registerActorSchema(systemId, definition).
+ */
+
+/**
+ * The registered definitions, by game system id
+ * @type {Map<string, Object>}
+ */
+const definitions = new Map();
+
+/**
+ * Register the actor schema for a game system, replacing any existing one
+ * @param {string} systemId - The game system id, e.g. "dnd5e"
+ * @param {Object} definition - The definition (see above)
+ */
+export function registerActorSchema(systemId, definition) {
+  if (!definition?.schema || typeof definition.toActorData !== 'function') {
+    throw new Error("Divination | An actor schema needs a schema and a toActorData function");
+  }
+  definitions.set(systemId, { label: systemId, instructions: "", preview: previewGeneric, ...definition });
+}
+
+/**
+ * Get the actor schema for a game system
+ * @param {string} [systemId] - The game system id; defaults to the world's system
+ * @returns {Object} - The system's definition, or the generic one
+ */
+export function getActorSchema(systemId = game.system.id) {
+  return definitions.get(systemId) || GENERIC_SCHEMA;
+}
+
+/**
+ * Turn plain text into HTML paragraphs
+ * @param {string} text - The text
+ * @returns {string} - The HTML
+ * @private
+ */
+function toParagraphs(text) {
+  return String(text || "")
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
+
+/**
+ * Find the first path holding a string in a document's data, e.g. where a system keeps descriptions
+ * @param {Document} doc - The document
+ * @param {Array<string>} paths - The candidate paths
+ * @returns {string|null} - The path, or null if none holds a string
+ * @private
+ */
+function findStringPath(doc, paths) {
+  return paths.find(path => typeof foundry.utils.getProperty(doc, path) === 'string') || null;
+}
+
+/**
+ * Pick the document type to create, preferring the given names
+ * @param {string} documentName - "Actor" or "Item"
+ * @param {Array<string>} preferred - The preferred type names, most preferred first
+ * @returns {string|null} - The type, or null if the system defines none
+ * @private
+ */
+function pickDocumentType(documentName, preferred) {
+  const types = (game.documentTypes[documentName] || []).filter(type => type !== CONST.BASE_DOCUMENT_TYPE);
+  return preferred.find(type => types.includes(type)) || types[0] || null;
+}
+
+/* -------------------------------------------- */
+/*  dnd5e                                       */
+/* -------------------------------------------- */
+
+/**
+ * The six abilities, as dnd5e keys
+ * @type {Array<string>}
+ */
+const DND5E_ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+/**
+ * Creature sizes, mapped to dnd5e keys
+ * @type {Object<string, string>}
+ */
+const DND5E_SIZES = {
+  tiny: 'tiny',
+  small: 'sm',
+  medium: 'med',
+  large: 'lg',
+  huge: 'huge',
+  gargantuan: 'grg'
+};
+
+/**
+ * Skills, mapped to dnd5e keys
+ * @type {Object<string, string>}
+ */
+const DND5E_SKILLS = {
+  acrobatics: 'acr',
+  'animal handling': 'ani',
+  arcana: 'arc',
+  athletics: 'ath',
+  deception: 'dec',
+  history: 'his',
+  insight: 'ins',
+  intimidation: 'itm',
+  investigation: 'inv',
+  medicine: 'med',
+  nature: 'nat',
+  perception: 'prc',
+  performance: 'prf',
+  persuasion: 'per',
+  religion: 'rel',
+  'sleight of hand': 'slt',
+  stealth: 'ste',
+  survival: 'sur'
+};
+
+/**
+ * Build the description of a generated dnd5e item, with its attack as an inline roll
+ * @param {Object} item - The generated item
+ * @returns {string} - The description HTML
+ * @private
+ */
+function describeDnd5eItem(item) {
+  let html = toParagraphs(item.description);
+  if (item.attackBonus !== undefined || item.damage) {
+    const parts = [];
+    if (item.attackBonus !== undefined) parts.push(`<em>Attack:</em> [[/r 1d20${item.attackBonus >= 0 ? '+' : ''}${item.attackBonus}]] to hit.`);
+    if (item.damage) parts.push(`<em>Hit:</em> [[/r ${item.damage}]] ${escapeHtml(item.damageType || "")} damage.`);
+    html += `<p>${parts.join(' ')}</p>`;
+  }
+  return html;
+}
+
+registerActorSchema('dnd5e', {
+  label: "D&D 5e NPC",
+  instructions: "You create non-player characters for Dungeons & Dragons 5th edition, with balanced statistics for their challenge rating. Give them the features, attacks and gear they would have, and a short biography covering their appearance, personality and motives.",
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name', 'creatureType', 'size', 'alignment', 'challengeRating', 'armorClass', 'hitPoints', 'speed', 'abilities', 'biography', 'items'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      creatureType: {
+        enum: ['aberration', 'beast', 'celestial', 'construct', 'dragon', 'elemental', 'fey', 'fiend', 'giant', 'humanoid', 'monstrosity', 'ooze', 'plant', 'undead']
+      },
+      subtype: { type: 'string', description: "e.g. elf, goblinoid" },
+      size: { enum: Object.keys(DND5E_SIZES) },
+      alignment: { type: 'string' },
+      challengeRating: { type: 'number', minimum: 0, maximum: 30 },
+      armorClass: { type: 'integer', minimum: 1, maximum: 30 },
+      hitPoints: { type: 'integer', minimum: 1, maximum: 999 },
+      hitDice: { type: 'string', pattern: '^\\d+d\\d+(\\s*[+-]\\s*\\d+)?$', description: "e.g. 4d8+4" },
+      speed: { type: 'integer', minimum: 0, maximum: 120, description: "Walking speed in feet" },
+      abilities: {
+        type: 'object',
+        additionalProperties: false,
+        required: DND5E_ABILITIES,
+        properties: Object.fromEntries(DND5E_ABILITIES.map(key => [key, { type: 'integer', minimum: 1, maximum: 30 }]))
+      },
+      skills: { type: 'array', items: { enum: Object.keys(DND5E_SKILLS) }, description: "Proficient skills" },
+      senses: { type: 'string', description: "e.g. darkvision 60 ft." },
+      languages: { type: 'string' },
+      biography: { type: 'string', minLength: 1 },
+      items: {
+        type: 'array',
+        maxItems: 20,
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['name', 'type', 'description'],
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            type: { enum: ['feat', 'weapon', 'equipment', 'consumable', 'loot'], description: "feat for features and special actions" },
+            description: { type: 'string' },
+            attackBonus: { type: 'integer', description: "For attacks only" },
+            damage: { type: 'string', pattern: '^[\\dd+\\-\\s]+$', description: "Damage formula for attacks, e.g. 1d8+3" },
+            damageType: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  preview: (data) => ({
+    name: data.name,
+    subtitle: `${data.size} ${data.creatureType}${data.subtype ? ` (${data.subtype})` : ""}, ${data.alignment}`,
+    stats: [
+      { label: "CR", value: data.challengeRating },
+      { label: "AC", value: data.armorClass },
+      { label: "HP", value: data.hitDice ? `${data.hitPoints} (${data.hitDice})` : data.hitPoints },
+      { label: "Speed", value: `${data.speed} ft.` },
+      ...DND5E_ABILITIES.map(key => ({ label: key.toUpperCase(), value: data.abilities[key] })),
+      ...(data.skills?.length ? [{ label: "Skills", value: data.skills.join(', ') }] : []),
+      ...(data.senses ? [{ label: "Senses", value: data.senses }] : []),
+      ...(data.languages ? [{ label: "Languages", value: data.languages }] : [])
+    ],
+    items: data.items.map(item => ({ name: item.name, type: item.type, description: item.description })),
+    biography: data.biography
+  }),
+  toActorData: (data) => ({
+    name: data.name,
+    type: 'npc',
+    system: {
+      abilities: Object.fromEntries(DND5E_ABILITIES.map(key => [key, { value: data.abilities[key] }])),
+      attributes: {
+        ac: { calc: 'flat', flat: data.armorClass },
+        hp: { value: data.hitPoints, max: data.hitPoints, formula: data.hitDice || "" },
+        movement: { walk: data.speed, units: 'ft' },
+        senses: { special: data.senses || "" }
+      },
+      details: {
+        cr: data.challengeRating,
+        alignment: data.alignment,
+        type: { value: data.creatureType, subtype: data.subtype || "" },
+        biography: { value: toParagraphs(data.biography) }
+      },
+      traits: {
+        size: DND5E_SIZES[data.size],
+        languages: { custom: data.languages || "" }
+      },
+      skills: Object.fromEntries((data.skills || []).map(skill => [DND5E_SKILLS[skill], { value: 1 }]))
+    },
+    items: data.items.map(item => ({
+      name: item.name,
+      type: item.type,
+      system: { description: { value: describeDnd5eItem(item) } }
+    }))
+  })
+});
+
+/* -------------------------------------------- */
+/*  Generic                                     */
+/* -------------------------------------------- */
+
+/**
+ * Where systems keep item descriptions, most common first
+ * @type {Array<string>}
+ */
+const ITEM_DESCRIPTION_PATHS = ['system.description.value', 'system.description', 'system.notes'];
+
+/**
+ * Summarize a generic reply for the preview
+ * @param {Object} data - The reply
+ * @returns {Object} - The preview
+ * @private
+ */
+function previewGeneric(data) {
+  return {
+    name: data.name,
+    subtitle: data.concept || "",
+    stats: (data.attributes || []).map(attribute => ({ label: attribute.name, value: attribute.value })),
+    items: (data.items || []).map(item => ({ name: item.name, type: "", description: item.description })),
+    biography: data.biography
+  };
+}
+
+/**
+ * The fallback for game systems without their own definition. The statistics are kept in the
+ * biography, since their place in the actor's data is different in every system.
+ * @type {Object}
+ */
+const GENERIC_SCHEMA = {
+  label: "NPC",
+  instructions: "You create non-player characters for tabletop roleplaying games. Give them the statistics, abilities and gear that fit the game being played, and a short biography covering their appearance, personality and motives.",
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name', 'concept', 'attributes', 'items', 'biography'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      concept: { type: 'string', description: "One line, e.g. 'Gruff dwarven blacksmith'" },
+      attributes: {
+        type: 'array',
+        maxItems: 30,
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['name', 'value'],
+          properties: { name: { type: 'string', minLength: 1 }, value: { type: ['string', 'number'] } }
+        }
+      },
+      items: {
+        type: 'array',
+        maxItems: 20,
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['name', 'description'],
+          properties: { name: { type: 'string', minLength: 1 }, description: { type: 'string' } }
+        }
+      },
+      biography: { type: 'string', minLength: 1 }
+    }
+  },
+  preview: previewGeneric,
+  toActorData: (data) => {
+    const type = pickDocumentType('Actor', ['npc', 'character']);
+    const itemType = pickDocumentType('Item', ['feat', 'feature', 'ability', 'item', 'equipment', 'gear']);
+
+    // Probe blank documents for where this system keeps text
+    const biographyPath = findStringPath(new Actor.implementation({ name: "Probe", type }), BIOGRAPHY_PATHS);
+    const descriptionPath = itemType
+      ? findStringPath(new Item.implementation({ name: "Probe", type: itemType }), ITEM_DESCRIPTION_PATHS)
+      : null;
+
+    const attributes = data.attributes.length
+      ? `<table>${data.attributes.map(a => `<tr><th>${escapeHtml(a.name)}</th><td>${escapeHtml(a.value)}</td></tr>`).join('')}</table>`
+      : "";
+    const items = descriptionPath ? [] : data.items;
+    const itemList = items.length
+      ? `<ul>${items.map(item => `<li><strong>${escapeHtml(item.name)}</strong>: ${escapeHtml(item.description)}</li>`).join('')}</ul>`
+      : "";
+    const biography = `${data.concept ? `<p><em>${escapeHtml(data.concept)}</em></p>` : ""}${attributes}${itemList}${toParagraphs(data.biography)}`;
+
+    const actorData = { name: data.name, type: type, items: [] };
+    if (biographyPath) foundry.utils.setProperty(actorData, biographyPath, biography);
+    if (descriptionPath) {
+      actorData.items = data.items.map(item => {
+        const itemData = { name: item.name, type: itemType };
+        foundry.utils.setProperty(itemData, descriptionPath, toParagraphs(item.description));
+        return itemData;
+      });
+    }
+    return actorData;
+  }
+};
@@ -1,363 +1,680 @@
-import { log, truncateMessageHistory } from './utils.js';
-import { SYSTEM_PROMPT } from './settings.js';
+import { log, truncateMessageHistory, packContext, getValueAtPath } from './utils.js';
+import { sanitizeHtml } from './sanitize.js';
+import { buildDocumentIndex } from './enrich.js';
+import { resolveModelSettings } from './profiles.js';
+import { getProvider } from './providers.js';
+import { isRelayEnabled, relayRequest } from './relay.js';
+import { DivinationError, ERROR_KINDS, errorFromResponse, errorFromException } from './errors.js';
 
 /**
  * Send a message to the LLM service and get a response
  * @param {Object} params - Message parameters
  * @param {String} params.message - The user's message
  * @param {Array} [params.history] - Previous message history
- * @returns {Promise<String>} - The AI response
+ * @param {Array} [params.contextItems] - Reference material appended to the system prompt
+ * @param {String} [params.systemPrompt] - Replaces the System Prompt setting for this request
+ * @param {String} [params.profile] - Model profile whose settings replace the Model, Max Response Tokens and Temperature settings (see profiles.js)
+ * @param {String} [params.assistantName] - Replaces the Assistant Name setting for this request
+ * @param {String} [params.memory] - Running summary of earlier conversation, added to the system prompt
+ * @param {Boolean} [params.documentLinks] - List the documents the model can link to in the system prompt (see the Document Links setting)
+ * @param {Boolean} [params.stream] - Stream the response (defaults to the streamResponses setting)
+ * @param {Function} [params.onUpdate] - Called with the partial result while streaming
+ * @param {AbortSignal} [params.signal] - Aborts the request when signalled
+ * @returns {Promise<Object>} - The AI response
  */
 export async function sendMessage(params) {
-  // Get settings
-  const apiUrl = game.settings.get('divination', 'textGenerationApiUrl');
-  const apiKey = game.settings.get('divination', 'apiKey');
-  const payloadTemplate = game.settings.get('divination', 'payloadJson');
-  const responseJsonPath = game.settings.get('divination', 'responseJsonPath');
-  const reasoningEndTag = game.settings.get('divination', 'reasoningEndTag');
+  const reasoningTags = {
+    startTag: game.settings.get('divination', 'reasoningStartTag'),
+    endTag: game.settings.get('divination', 'reasoningEndTag')
+  };
   const reasoningDisplay = game.settings.get('divination', 'reasoningDisplay');
-  const historyLimit = game.settings.get('divination', 'messageHistory');
-  const systemPrompt = game.settings.get('divination', 'systemPrompt');
   
-  // Prepare message history
-  let messages = params.history || [];
+  const request = prepareRequest(params);
   
-  // Format conversation history into a structured context
-  // We'll do this only if we have multiple messages for context
-  let contextualHistory = "";
-  if (messages.length > 1) {
-    // Create a formatted history string excluding system messages
-    // This will be used for context in templates that don't support full message objects
-    const historyMessages = messages.filter(m => m.role !== 'system');
-    
-    if (historyMessages.length > 0) {
-      contextualHistory = "Previous conversation:\n\n" + 
-        historyMessages.map(m => {
-          const role = m.role === 'user' ? 'User' : 'Assistant';
-          // Strip HTML tags for plain text context
-          const content = m.content.replace(/<[^>]*>?/gm, '');
-          return `${role}: ${content}`;
-        }).join('\n\n');
+  // Report each partial result to the caller while streaming
+  const onText = typeof params.onUpdate === 'function'
+    ? (text, nativeReasoning) => {
+      const partial = splitReasoning(text, reasoningTags, { final: false });
+      params.onUpdate({
+        rawContent: partial.response,
+        reasoning: joinReasoning(nativeReasoning, partial.reasoning),
+        pending: partial.pending
+      });
     }
-  }
+    : null;
   
-  // Add the new message
-  messages.push({
-    role: 'user',
-    content: params.message
-  });
-  
-  // Truncate history if needed
-  if (historyLimit > 0) {
-    messages = truncateMessageHistory(messages, historyLimit);
-  }
+  // In relay mode the request is performed by a GM client, which holds the API key
+  const response = isRelayEnabled()
+    ? await relayRequest(request, { onText, signal: params.signal })
+    : await performRequest(request, { onText, signal: params.signal });
   
-  // Convert messages to string for template replacement
-  const messagesStr = JSON.stringify(messages);
+  // Separate tagged reasoning from the answer and combine it with any reasoning field.
+  // Only the answer goes into the history, so reasoning is never sent back to the model.
+  const split = splitReasoning(response.text, reasoningTags);
+  const reasoning = joinReasoning(response.reasoning, split.reasoning);
+  const answer = split.response;
+  let formattedResponse = answer;
   
-  // Log payload template length for debugging
-  console.log("Divination | Original payload template length:", payloadTemplate.length);
-  
-  // Check for potential issues in the payload template
-  if (payloadTemplate.includes('\u0000')) {
-    console.warn("Divination | Warning: Payload template contains null characters");
-    payloadTemplate = payloadTemplate.replace(/\u0000/g, '');
+  if (reasoning) {
+    formattedResponse = formatReasoningHtml(reasoning, reasoningDisplay) +
+      `<div class="divination-response">${sanitizeHtml(answer)}</div>`;
   }
   
-  // Prepare the replacements object with all potential variables
-  const replacements = {
-    'UserMessage': contextualHistory ? `${contextualHistory}\n\nUser: ${params.message}` : params.message,
-    'MessageHistory': messages, // Pass the object directly for proper JSON handling
-    'SystemMessage': systemPrompt,
-    'Context': contextualHistory // Add the formatted context as a separate variable
+  return {
+    content: formattedResponse,
+    rawContent: answer,
+    reasoning: reasoning,
+    history: [...request.messages, { role: 'assistant', content: answer }],
+    packing: request.packing
   };
+}
+
+/**
+ * Build the provider-independent request for a message.
+ * The request contains no secrets, so it can be relayed to another client.
+ * @param {Object} params - Message parameters, as for sendMessage
+ * @returns {Object} - The request (see providers.js for its fields)
+ */
+export function prepareRequest(params) {
+  // Get settings
+  const { model, maxTokens, temperature } = resolveModelSettings(params.profile);
+  const historyLimit = game.settings.get('divination', 'messageHistory');
+  const maxContextTokens = game.settings.get('divination', 'maxContextTokens');
+  const stream = params.stream ?? game.settings.get('divination', 'streamResponses');
+  let systemPrompt = params.systemPrompt ?? game.settings.get('divination', 'systemPrompt');
   
-  // If we have context items, add them to the system prompt
-  if (params.contextItems && params.contextItems.length > 0) {
-    let contextInfo = "Additional reference material:\n\n";
-    
-    params.contextItems.forEach(item => {
-      if (item.type === 'journal') {
-        contextInfo += `## JOURNAL: ${item.name}\n\n${item.content}\n\n`;
-      } else if (item.type === 'page') {
-        contextInfo += `## PAGE: ${item.name} (from ${item.journalName || 'journal'})\n\n${item.content}\n\n`;
-      } else {
-        contextInfo += `## ${item.name || 'DOCUMENT'}\n\n${item.content}\n\n`;
-      }
-    });
-    
-    // Combine the original system prompt with the context info
-    replacements['SystemMessage'] = systemPrompt + "\n\n" + contextInfo;
+  // The conversation memory is part of the system prompt so it is never cut by the budget
+  if (params.memory) {
+    systemPrompt += `
+
+## CONVERSATION MEMORY
+
+Summary of the earlier conversation, which is no longer shown in full:
+
+${params.memory}`;
   }
   
-  // Use the helper function to safely replace all variables
-  let filledTemplate = replaceTemplateVariables(payloadTemplate, replacements);
+  // List the documents the model may link to, so its @UUID links are valid
+  if (params.documentLinks) {
+    const documentIndex = buildDocumentIndex(params.contextItems);
+    if (documentIndex) systemPrompt += `\n\n${documentIndex}`;
+  }
+  
+  // Prepare message history - copy it so the caller's history is never mutated, keeping only
+  // what the model needs (stored entries also carry ids, timestamps and reasoning)
+  let messages = (params.history || []).map(m => ({ role: m.role, content: m.content }));
   
-  // Log filled template length for debugging
-  console.log("Divination | Filled template length:", filledTemplate.length);
+  // Add the new message
+  messages.push({
+    role: 'user',
+    content: params.message
+  });
   
-  // Check for unprocessed template variables
-  const remainingVars = filledTemplate.match(/{{.*?}}/g);
-  if (remainingVars) {
-    console.warn("Divination | Warning: Template still contains unprocessed variables:", remainingVars);
+  // Truncate history if needed. With summarization on, the summary threshold bounds
+  // the history instead, so older messages are summarized rather than dropped.
+  const summarizing = game.settings.get('divination', 'summarizeHistory');
+  if (historyLimit > 0 && !summarizing) {
+    messages = truncateMessageHistory(messages, historyLimit);
   }
   
-  // Parse the payload JSON
-  let payload;
-  try {
-    // Log the template for debugging
-    console.log("Divination | Template before parsing:", filledTemplate);
-    
-    // Remove any BOM or special invisible characters
-    filledTemplate = filledTemplate.trim().replace(/^\ufeff/g, "");
+  // Fit the system prompt, context items and recent messages into the token budget
+  const packed = packContext({
+    systemPrompt: systemPrompt,
+    contextItems: params.contextItems || [],
+    history: messages.slice(0, -1),
+    message: messages[messages.length - 1],
+    budget: maxContextTokens
+  });
+  messages = packed.messages;
+  
+  // Format conversation history into a structured context
+  // We'll do this only if we have multiple messages for context
+  let contextualHistory = "";
+  if (messages.length > 2) {
+    // Create a formatted history string excluding system messages and the new message
+    // This will be used for context in templates that don't support full message objects
+    const historyMessages = messages.slice(0, -1).filter(m => m.role !== 'system');
     
-    // Try to parse the JSON carefully
-    try {
-      payload = JSON.parse(filledTemplate);
-      console.log("Divination | Successfully parsed JSON template");
-    } catch (initialError) {
-      // If parsing fails, try to clean the template further
-      log({
-        message: "Initial JSON parsing error, attempting to clean template further",
-        error: initialError,
-        type: ["warn"]
-      });
-      
-      // Log details about the error position
-      const errorMatch = initialError.message.match(/position (\d+)/);
-      if (errorMatch) {
-        const errorPos = parseInt(errorMatch[1]);
-        console.error(`Divination | JSON error at position ${errorPos}`);
-        
-        // Log characters around the error position
-        const start = Math.max(0, errorPos - 20);
-        const end = Math.min(filledTemplate.length, errorPos + 20);
-        console.error(`Divination | Characters around error position: "${filledTemplate.substring(start, end)}"`);
-        console.error(`Divination | Character at position: "${filledTemplate.charAt(errorPos)}"`);
-        
-        // Check specific positions mentioned in the error
-        if (errorPos === 467) {
-          console.error(`Divination | Character at position 467: "${filledTemplate.charAt(467)}" (char code: ${filledTemplate.charCodeAt(467)})`);
-          // If there's a specific character causing issues, try to replace it
-          filledTemplate = filledTemplate.substring(0, 467) + filledTemplate.substring(468);
-          console.error("Divination | Tried removing problematic character at position 467");
-        }
-      }
-      
-      // More aggressive cleaning for JSON safety
-      const cleanedTemplate = filledTemplate
-        .replace(/\r\n/g, '\n')         // Normalize line endings to LF
-        .replace(/\\/g, '\\\\')         // Double escape all backslashes first
-        .replace(/\\\\n/g, '\\n')       // Fix double-escaped newlines
-        .replace(/\\\\t/g, '\\t')       // Fix double-escaped tabs
-        .replace(/\\\\"/g, '\\"')       // Fix double-escaped quotes
-        .replace(/(['"])\s*:\s*/g, '$1:') // Normalize spacing around colons
-        .replace(/,\s*}/g, '}')         // Remove trailing commas in objects
-        .replace(/,\s*\]/g, ']');       // Remove trailing commas in arrays
-      
-      try {
-        payload = JSON.parse(cleanedTemplate);
-        console.log("Divination | Successfully parsed cleaned template");
-      } catch (secondError) {
-        // Still failing, throw the error to use fallback
-        log({
-          message: "Cleaned template still fails to parse, using fallback",
-          error: secondError,
-          type: ["warn"]
-        });
-        
-        throw secondError; // Let the outer catch handle it
-      }
+    if (historyMessages.length > 0) {
+      contextualHistory = "Previous conversation:\n\n" + 
+        historyMessages.map(m => {
+          const role = m.role === 'user' ? 'User' : 'Assistant';
+          // Strip HTML tags for plain text context
+          const content = m.content.replace(/<[^>]*>?/gm, '');
+          return `${role}: ${content}`;
+        }).join('\n\n');
     }
-  } catch (error) {
-    log({
-      message: "Error parsing payload JSON template.",
-      error: error,
-      type: ["error"]
-    });
-    
-    // Create a simple valid payload as fallback
-    payload = {
-      messages: messages
-    };
-    
-    log({
-      message: "Using fallback payload due to parse error",
-      type: ["warn"]
-    });
   }
   
-  // For templates that don't use {{MessageHistory}}, try to insert messages array
-  if (!payloadTemplate.includes('{{MessageHistory}}') && payload.messages) {
-    // If the template has a direct messages array but doesn't use {{MessageHistory}},
-    // we'll replace it with our prepared messages
-    payload.messages = messages;
-  }
+  // Build the request in the shape the provider expects
+  return {
+    systemPrompt: packed.systemPrompt,
+    baseSystemPrompt: systemPrompt,
+    contextItems: packed.contextItems,
+    messages: messages,
+    message: params.message,
+    userMessage: contextualHistory ? `${contextualHistory}\n\nUser: ${params.message}` : params.message,
+    contextualHistory: contextualHistory,
+    profile: params.profile || null,
+    model: model,
+    maxTokens: maxTokens,
+    temperature: temperature,
+    stream: stream,
+    userName: game.user?.name || "",
+    assistantName: params.assistantName || game.settings.get('divination', 'assistantName'),
+    packing: packed.report
+  };
+}
+
+/**
+ * Get the API key this client should use.
+ * GMs keep the key in client storage when relaying, so it never reaches player clients.
+ * @returns {string} - The API key, or an empty string
+ */
+export function getApiKey() {
+  const clientKey = game.user?.isGM ? game.settings.get('divination', 'gmApiKey') : "";
+  return clientKey || game.settings.get('divination', 'apiKey');
+}
+
+/**
+ * Build the HTTP request for a prepared request with the configured provider
+ * @param {Object} request - The request built by prepareRequest
+ * @returns {Object} - The provider adapter, and the url, headers and payload to send
+ * @throws {DivinationError} - If the provider can't build a payload (e.g. an invalid template)
+ */
+export function buildHttpRequest(request) {
+  const apiUrl = game.settings.get('divination', 'textGenerationApiUrl');
+  const provider = getProvider(game.settings.get('divination', 'provider'));
   
-  // Set up headers
+  // Set up headers, including the provider's authentication
   const headers = {
-    "Content-Type": "application/json"
+    "Content-Type": "application/json",
+    ...provider.buildHeaders(getApiKey())
   };
   
-  // Add authorization if we have an API key
-  if (apiKey) {
-    headers["Authorization"] = `Bearer ${apiKey}`;
-  }
+  return {
+    provider: provider,
+    url: provider.buildUrl(apiUrl, request),
+    headers: headers,
+    payload: provider.buildPayload(request)
+  };
+}
+
+/**
+ * Perform a prepared request against the configured endpoint
+ * @param {Object} request - The request built by prepareRequest
+ * @param {Object} [options] - Request options
+ * @param {Function} [options.onText] - Called with the accumulated text and reasoning while streaming
+ * @param {AbortSignal} [options.signal] - Cancels the request, including any pending retries
+ * @returns {Promise<{text: string, reasoning: string}>} - The response text (which may still contain
+ *   tagged reasoning) and the reasoning the provider returned in a separate field
+ */
+export async function performRequest(request, { onText = null, signal = null } = {}) {
+  const timeoutSeconds = game.settings.get('divination', 'requestTimeout');
+  const { provider, url, headers, payload } = buildHttpRequest(request);
   
-  // Make the API request with retry logic
-  let response = null;
+  // Make the API request, retrying failures that may succeed on another attempt
+  const maxTries = Math.max(0, game.settings.get('divination', 'maxRetries')) + 1;
   let tries = 0;
-  const maxTries = 3;
   let error = null;
   
-  while (tries < maxTries && !response) {
+  while (tries < maxTries) {
     tries++;
+    
+    // Each attempt gets its own controller so a timeout only aborts that attempt
+    const attempt = createAttemptController(signal, timeoutSeconds);
+    
     try {
-      const fetchResponse = await fetch(apiUrl, {
+      if (signal?.aborted) throw createAbortError();
+      
+      const fetchResponse = await fetch(url, {
         method: 'POST',
         headers: headers,
-        body: JSON.stringify(payload)
+        body: JSON.stringify(payload),
+        signal: attempt.signal
       });
       
       if (!fetchResponse.ok) {
-        error = new Error(`HTTP error ${fetchResponse.status}`);
-        log({
-          message: `API request failed (attempt ${tries}/${maxTries})`,
-          error: error,
-          type: ["warn"]
-        });
-        continue;
+        throw await errorFromResponse(fetchResponse);
       }
       
-      const data = await fetchResponse.json();
-      
-      // Extract the response text using the path from settings
-      response = responseJsonPath.split('.').reduce((o, i) => o[i], data);
+      let response;
+      let reasoning;
+      let data = null;
       
-      // If no response content was found, throw an error
-      if (!response) {
-        error = new Error(`No content found at path ${responseJsonPath}`);
-        log({
-          message: `Failed to extract response content (attempt ${tries}/${maxTries})`,
-          error: error,
-          type: ["warn"]
+      if (request.stream && isStreamingResponse(fetchResponse)) {
+        // Accumulate the chunks, reporting the text so far to the caller
+        let streamed = "";
+        let streamedReasoning = "";
+        await readStream(fetchResponse, (chunk) => {
+          const delta = provider.extractStreamDelta(chunk);
+          const reasoningDelta = extractReasoning(provider, chunk, { stream: true });
+          if (!delta && !reasoningDelta) return;
+          
+          streamed += delta || "";
+          streamedReasoning += reasoningDelta || "";
+          if (onText) onText(streamed, streamedReasoning);
         });
-        response = null; // Reset to try again
+        response = streamed;
+        reasoning = streamedReasoning;
+      } else {
+        data = await fetchResponse.json();
+        
+        // Extract the response text from the provider's response shape
+        response = provider.extractResponse(data);
+        reasoning = extractReasoning(provider, data);
       }
+      
+      // An answer without text usually means the response path is wrong, so it isn't retried
+      if (!response && !reasoning) {
+        throw new DivinationError(
+          ERROR_KINDS.EMPTY_RESPONSE,
+          `No content found at path ${provider.describeResponsePath()}`,
+          { body: data ? JSON.stringify(data, null, 2).substring(0, 2000) : "" }
+        );
+      }
+      
+      return { text: response || "", reasoning: reasoning || "" };
     } catch (e) {
-      error = e;
+      // A cancelled request is never retried
+      if (signal?.aborted) throw createAbortError();
+      
+      if (attempt.timedOut) {
+        // A hung server would hang again, so timeouts aren't retried either
+        throw new DivinationError(ERROR_KINDS.TIMEOUT, `The request timed out after ${timeoutSeconds} seconds.`);
+      }
+      
+      error = errorFromException(e);
       log({
         message: `Error sending message (attempt ${tries}/${maxTries})`,
         error: error,
         type: ["warn"]
       });
+    } finally {
+      attempt.dispose();
+    }
+    
+    if (!error.retryable || tries >= maxTries) break;
+    
+    // Wait before retrying, unless the provider asks for a longer wait than is reasonable
+    const delay = getRetryDelay(error, tries);
+    if (delay === null) break;
+    await abortableSleep(delay, signal);
+  }
+  
+  log({
+    message: "All attempts to get a response failed",
+    error: error,
+    type: ["error"]
+  });
+  throw error;
+}
+
+/**
+ * Delay before the first retry, doubled on each further attempt
+ * @type {number}
+ */
+const BASE_RETRY_DELAY = 1000;
+
+/**
+ * Longest backoff between attempts
+ * @type {number}
+ */
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Longest Retry-After the client is willing to wait, in seconds
+ * @type {number}
+ */
+const MAX_RETRY_AFTER = 60;
+
+/**
+ * Work out how long to wait before the next attempt.
+ * Retry-After from a 429 or 503 is honoured; otherwise the delay backs off exponentially with jitter.
+ * @param {DivinationError} error - The error from the last attempt
+ * @param {number} tries - The number of attempts made so far
+ * @returns {number|null} - The delay in milliseconds, or null to stop retrying
+ * @private
+ */
+function getRetryDelay(error, tries) {
+  if (error.retryAfter !== null && error.retryAfter !== undefined) {
+    if (error.retryAfter > MAX_RETRY_AFTER) return null;
+    return error.retryAfter * 1000;
+  }
+  
+  const backoff = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** (tries - 1));
+  // Jitter keeps several clients from retrying in lockstep
+  return backoff / 2 + Math.random() * backoff / 2;
+}
+
+/**
+ * Create the error thrown when a request is cancelled
+ * @returns {DivinationError} - A cancelled error, named "AbortError"
+ */
+export function createAbortError() {
+  return new DivinationError(ERROR_KINDS.CANCELLED, "The request was cancelled.");
+}
+
+/**
+ * Create an AbortController for a single request attempt.
+ * It aborts when the caller's signal aborts or when the timeout elapses.
+ * @param {AbortSignal|null} signal - The caller's signal
+ * @param {number} timeoutSeconds - The timeout in seconds (0 for none)
+ * @returns {{signal: AbortSignal, timedOut: boolean, dispose: Function}} - The attempt controller
+ * @private
+ */
+function createAttemptController(signal, timeoutSeconds) {
+  const controller = new AbortController();
+  const attempt = {
+    signal: controller.signal,
+    timedOut: false,
+    dispose: () => {}
+  };
+  
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  
+  const timer = timeoutSeconds > 0
+    ? setTimeout(() => {
+      attempt.timedOut = true;
+      controller.abort();
+    }, timeoutSeconds * 1000)
+    : null;
+  
+  attempt.dispose = () => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  };
+  
+  return attempt;
+}
+
+/**
+ * Wait for a delay, stopping early if the signal aborts
+ * @param {number} ms - The delay in milliseconds
+ * @param {AbortSignal|null} signal - The caller's signal
+ * @returns {Promise<void>} - Resolves after the delay, rejects with an AbortError when cancelled
+ * @private
+ */
+function abortableSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
     }
     
-    // Wait before retrying
-    if (!response && tries < maxTries) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Read the reasoning a provider returns in a separate field.
+ * The Reasoning JSON Path setting takes precedence over the provider's own fields.
+ * @param {Object} provider - The provider adapter
+ * @param {Object} data - The response, or a stream chunk
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.stream=false] - Whether data is a stream chunk
+ * @returns {string|undefined} - The reasoning, or the reasoning delta for a chunk
+ * @private
+ */
+function extractReasoning(provider, data, { stream = false } = {}) {
+  const reasoningJsonPath = game.settings.get('divination', 'reasoningJsonPath');
+  
+  if (reasoningJsonPath) {
+    // Stream chunks carry OpenAI-style fields under "delta" where the final response has "message"
+    const paths = stream
+      ? [reasoningJsonPath.replace(/\bmessage\b/, 'delta'), reasoningJsonPath]
+      : [reasoningJsonPath];
+    for (const path of paths) {
+      const value = getValueAtPath(data, path);
+      if (typeof value === 'string') return value;
     }
+    return undefined;
   }
   
-  // If all tries failed, throw the last error
-  if (!response) {
-    log({
-      message: "All attempts to get a response failed",
-      error: error,
-      type: ["error"]
-    });
-    throw error || new Error("Failed to get a response from the API");
+  const value = stream ? provider.extractStreamReasoning(data) : provider.extractReasoning(data);
+  return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Combine reasoning from a separate field with reasoning found in the text
+ * @param {...string} parts - The reasoning parts
+ * @returns {string} - The combined reasoning
+ * @private
+ */
+function joinReasoning(...parts) {
+  return parts.map(part => (part || '').trim()).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Split a response into its reasoning and answer parts using the reasoning tags.
+ *
+ * With a start tag, every start...end block is reasoning and may appear anywhere in the text;
+ * a block that is never closed runs to the end of the text. Text before an end tag that has
+ * no start tag is reasoning too, since some models omit the opening tag. With only an end tag,
+ * everything before it is reasoning.
+ * @param {string} text - The full response text
+ * @param {Object} tags - The reasoning tags
+ * @param {string} [tags.startTag] - The tag that opens a reasoning block
+ * @param {string} [tags.endTag] - The tag that closes a reasoning block
+ * @param {Object} [options] - Split options
+ * @param {boolean} [options.final=true] - Whether the text is complete. While streaming, text
+ *   that may still turn out to be reasoning is reported as pending.
+ * @returns {{reasoning: string, response: string, pending: boolean}} - The split text
+ */
+export function splitReasoning(text, { startTag = '', endTag = '' } = {}, { final = true } = {}) {
+  startTag = startTag?.trim() || '';
+  endTag = endTag?.trim() || '';
+  
+  if (!endTag) {
+    return { reasoning: '', response: text, pending: false };
+  }
+  
+  const reasoning = [];
+  const response = [];
+  let position = 0;
+  
+  // Reasoning without an opening tag: everything before the first end tag
+  const firstEnd = text.indexOf(endTag);
+  const firstStart = startTag ? text.indexOf(startTag) : -1;
+  if (firstEnd !== -1 && (firstStart === -1 || firstEnd < firstStart)) {
+    reasoning.push(text.substring(0, firstEnd));
+    position = firstEnd + endTag.length;
+  } else if (!startTag) {
+    // Only an end tag is set and it hasn't arrived yet
+    return final
+      ? { reasoning: '', response: text, pending: false }
+      : { reasoning: text.trim(), response: '', pending: true };
   }
   
-  // Process reasoning if a reasoning end tag is set
-  let reasoning = "";
-  let formattedResponse = response;
+  let pending = false;
   
-  if (reasoningEndTag && reasoningEndTag.trim() !== '') {
-    const parts = response.split(reasoningEndTag);
+  while (startTag && position < text.length) {
+    const start = text.indexOf(startTag, position);
+    if (start === -1) break;
     
-    if (parts.length > 1) {
-      reasoning = parts[0].trim();
-      formattedResponse = parts.slice(1).join(reasoningEndTag).trim();
-      
-      // Format based on reasoning display preference
-      if (reasoningDisplay === "hide") {
-        // Don't include reasoning at all
-      } else if (reasoningDisplay === "truncate") {
-        // Create a truncated preview with expand option
-        const maxPreview = 100;
-        const preview = reasoning.length > maxPreview 
-          ? reasoning.substring(0, maxPreview) + '...' 
-          : reasoning;
-          
-        formattedResponse = `<div class="divination-reasoning">
-          <div class="divination-reasoning-header">
-            <span>AI Reasoning</span>
-            <button class="divination-toggle-reasoning">Show/Hide</button>
-          </div>
-          <div class="divination-reasoning-preview">${preview}</div>
-          <div class="divination-reasoning-full" style="display: none;">${reasoning}</div>
-        </div>
-        <div class="divination-response">${formattedResponse}</div>`;
-      } else {
-        // Show reasoning fully
-        formattedResponse = `<div class="divination-reasoning">
-          <div class="divination-reasoning-header">
-            <span>AI Reasoning</span>
-            <button class="divination-toggle-reasoning">Show/Hide</button>
-          </div>
-          <div class="divination-reasoning-full">${reasoning}</div>
-        </div>
-        <div class="divination-response">${formattedResponse}</div>`;
-      }
+    response.push(text.substring(position, start));
+    const contentStart = start + startTag.length;
+    const end = text.indexOf(endTag, contentStart);
+    
+    if (end === -1) {
+      // An unclosed block runs to the end of the text
+      reasoning.push(text.substring(contentStart));
+      position = text.length;
+      pending = !final;
+      break;
     }
+    
+    reasoning.push(text.substring(contentStart, end));
+    position = end + endTag.length;
   }
   
-  // Add the response to history for future use - use unformatted response for history
-  messages.push({
-    role: 'you',
-    content: response
-  });
+  let rest = text.substring(position);
+  
+  // While streaming, hold back what may be the beginning of a start tag
+  if (!final && startTag) {
+    for (let length = Math.min(startTag.length - 1, rest.length); length > 0; length--) {
+      if (rest.endsWith(startTag.substring(0, length))) {
+        rest = rest.substring(0, rest.length - length);
+        break;
+      }
+    }
+  }
+  response.push(rest);
   
   return {
-    content: formattedResponse,
-    rawContent: response,
-    reasoning: reasoning,
-    history: messages
+    reasoning: joinReasoning(...reasoning),
+    response: response.join('').trim(),
+    pending: pending
   };
 }
 
 /**
- * Helper function to safely replace template variables in a JSON string
- * This ensures that variable values are properly escaped for JSON inclusion
- * @param {string} template - The JSON template with variables
- * @param {Object} replacements - Object with variable name to value mappings
- * @returns {string} - The filled template with variables replaced
+ * Build the collapsible reasoning block shown above a response
+ * @param {string} reasoning - The reasoning text
+ * @param {string} display - The reasoningDisplay setting ("hide", "truncate" or "show")
+ * @returns {string} - The reasoning HTML, or an empty string when hidden
+ */
+export function formatReasoningHtml(reasoning, display) {
+  if (!reasoning || display === "hide") return '';
+  
+  if (display === "truncate") {
+    // Create a truncated preview with expand option
+    const maxPreview = 100;
+    const preview = reasoning.length > maxPreview 
+      ? reasoning.substring(0, maxPreview) + '...' 
+      : reasoning;
+      
+    return `<div class="divination-reasoning">
+      <div class="divination-reasoning-header">
+        <span>AI Reasoning</span>
+        <button class="divination-toggle-reasoning">Show/Hide</button>
+      </div>
+      <div class="divination-reasoning-preview">${sanitizeHtml(preview)}</div>
+      <div class="divination-reasoning-full" style="display: none;">${sanitizeHtml(reasoning)}</div>
+    </div>`;
+  }
+  
+  // Show reasoning fully
+  return `<div class="divination-reasoning">
+    <div class="divination-reasoning-header">
+      <span>AI Reasoning</span>
+      <button class="divination-toggle-reasoning">Show/Hide</button>
+    </div>
+    <div class="divination-reasoning-full">${sanitizeHtml(reasoning)}</div>
+  </div>`;
+}
+
+/**
+ * Marker returned for the SSE "[DONE]" sentinel
+ * @type {Object}
+ */
+const STREAM_DONE = Object.freeze({});
+
+/**
+ * Check whether a response body is a stream rather than a single JSON document.
+ * Endpoints that ignore the stream flag still answer with plain JSON.
+ * @param {Response} fetchResponse - The fetch response
+ * @returns {boolean} - Whether the body should be read as a stream
+ * @private
+ */
+function isStreamingResponse(fetchResponse) {
+  const contentType = fetchResponse.headers.get('content-type') || '';
+  if (!fetchResponse.body) return false;
+  return !contentType.includes('application/json') || contentType.includes('ndjson');
+}
+
+/**
+ * Read a streamed response body line by line.
+ * Handles both server-sent events (OpenAI-style "data:" lines) and newline-delimited JSON (Ollama).
+ * @param {Response} fetchResponse - The fetch response with a readable body
+ * @param {Function} onChunk - Called with each parsed JSON chunk
+ * @returns {Promise<void>} - Resolves when the stream ends
+ * @private
  */
-function replaceTemplateVariables(template, replacements) {
-  let result = template;
+async function readStream(fetchResponse, onChunk) {
+  const reader = fetchResponse.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let finished = false;
   
-  // For each replacement pair
-  for (const [variable, value] of Object.entries(replacements)) {
-    const pattern = new RegExp(`{{${variable}}}`, 'g');
+  const handleLine = (line) => {
+    const chunk = parseStreamLine(line);
+    if (!chunk) return;
+    if (chunk === STREAM_DONE) {
+      finished = true;
+      return;
+    }
+    if (chunk.error) {
+      // Errors reported mid-stream (e.g. an overloaded model) come from the server
+      throw new DivinationError(ERROR_KINDS.SERVER, chunk.error.message || String(chunk.error), {
+        body: JSON.stringify(chunk.error)
+      });
+    }
+    onChunk(chunk);
+    // Ollama marks its final chunk with done: true
+    if (chunk.done === true) finished = true;
+  };
+  
+  while (!finished) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    // Keep the last, possibly incomplete, line for the next read
+    buffer = lines.pop();
     
-    // If the value is already a string, ensure it's properly escaped for JSON
-    if (typeof value === 'string') {
-      // Escape the string as if it were going into JSON, but without the outer quotes
-      const escapedValue = JSON.stringify(value).slice(1, -1);
-      result = result.replace(pattern, escapedValue);
-    } 
-    // For objects or arrays, stringify them first (they'll be inserted as JSON text)
-    else if (typeof value === 'object') {
-      const jsonValue = JSON.stringify(value);
-      // Remove the outer quotes since this will be inserted into a JSON string
-      result = result.replace(pattern, jsonValue);
-    } 
-    // For primitives like numbers or booleans, just convert to string
-    else {
-      result = result.replace(pattern, String(value));
+    for (const line of lines) {
+      handleLine(line);
+      if (finished) break;
     }
   }
   
-  return result;
-} 
\ No newline at end of file
+  if (finished) {
+    await reader.cancel().catch(() => {});
+    return;
+  }
+  
+  buffer += decoder.decode();
+  if (buffer.trim()) handleLine(buffer);
+}
+
+/**
+ * Parse a single line of a streamed response
+ * @param {string} line - The raw line
+ * @returns {Object|null} - The parsed chunk, STREAM_DONE, or null for lines without data
+ * @private
+ */
+function parseStreamLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+  
+  let data = trimmed;
+  if (trimmed.startsWith('data:')) {
+    data = trimmed.substring(5).trim();
+    if (data === '[DONE]') return STREAM_DONE;
+  } else if (/^(event|id|retry):/.test(trimmed) || trimmed.startsWith(':')) {
+    // SSE metadata and comments carry no content
+    return null;
+  }
+  
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    log({
+      message: "Skipping unparseable stream line",
+      error: data,
+      type: ["debug"]
+    });
+    return null;
+  }
+}
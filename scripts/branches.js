@@ -0,0 +1,93 @@
+/**
+ * Conversation branches for the Divination module
+ *
+ * The history of a conversation is always the branch being shown, so everything that reads
+ * it (requests, memory, export) follows the selected branch. When a reply is regenerated or a
+ * user message is edited, the conversation forks at that message. The entry where the fork
+ * starts keeps the other branches:
+ *
+ *   entry.branches = { index, alternatives }
+ *
+ * alternatives holds the rest of the history from that entry onwards for each branch, and
+ * index is the branch being shown. The shown branch is the live history, so its slot in
+ * alternatives is left empty. Branches can fork again further down.
+ */
+
+/**
+ * Get the branch position of a history entry
+ * @param {Object} entry - The history entry
+ * @returns {Object|null} - { index, count }, or null if the conversation doesn't fork here
+ */
+export function getBranchInfo(entry) {
+  const branches = entry?.branches;
+  if (!branches || branches.alternatives.length < 2) return null;
+  return { index: branches.index, count: branches.alternatives.length };
+}
+
+/**
+ * Fork the history at an entry, adding a new branch and selecting it
+ * @param {Array<Object>} history - The history being shown
+ * @param {number} position - Where the new branch starts
+ * @param {Array<Object>} tail - The new branch's entries from that position onwards
+ * @returns {Array<Object>} - The new history
+ */
+export function forkHistory(history, position, tail) {
+  if (position >= history.length) return [...history, ...tail];
+
+  const { current, branches } = detachBranch(history, position);
+  branches.alternatives[branches.index] = current;
+  branches.alternatives.push(null);
+  branches.index = branches.alternatives.length - 1;
+
+  return attachBranch(history.slice(0, position), tail, branches);
+}
+
+/**
+ * Switch the history to another branch at a fork
+ * @param {Array<Object>} history - The history being shown
+ * @param {number} position - Where the fork is
+ * @param {number} index - The branch to show
+ * @returns {Array<Object>} - The new history, or the same history if there is no such branch
+ */
+export function switchBranch(history, position, index) {
+  const info = getBranchInfo(history[position]);
+  if (!info || index === info.index || index < 0 || index >= info.count) return history;
+
+  const { current, branches } = detachBranch(history, position);
+  const tail = branches.alternatives[index];
+  branches.alternatives[branches.index] = current;
+  branches.alternatives[index] = null;
+  branches.index = index;
+
+  return attachBranch(history.slice(0, position), tail, branches);
+}
+
+/**
+ * Take the shown branch off the history at a fork
+ * @param {Array<Object>} history - The history being shown
+ * @param {number} position - Where the fork is
+ * @returns {Object} - { current, branches }: the shown branch, without the fork's other branches
+ * @private
+ */
+function detachBranch(history, position) {
+  const { branches, ...first } = history[position];
+  return {
+    current: [first, ...history.slice(position + 1)],
+    branches: branches
+      ? { index: branches.index, alternatives: [...branches.alternatives] }
+      : { index: 0, alternatives: [null] }
+  };
+}
+
+/**
+ * Attach a branch to the history, keeping the fork's other branches on its first entry
+ * @param {Array<Object>} prefix - The history before the fork
+ * @param {Array<Object>} tail - The branch to attach
+ * @param {Object} branches - The fork's branches
+ * @returns {Array<Object>} - The new history
+ * @private
+ */
+function attachBranch(prefix, tail, branches) {
+  const [first, ...rest] = tail;
+  return [...prefix, { ...first, branches: branches }, ...rest];
+}
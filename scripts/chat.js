@@ -1,6 +1,36 @@
-import { log } from './utils.js';
-import { sendMessage } from './api.js';
+import { log, escapeHtml } from './utils.js';
+import { sanitizeHtml } from './sanitize.js';
+import { enrichResponses } from './enrich.js';
+import { sendMessage, formatReasoningHtml } from './api.js';
 import { hasPermission } from './settings.js';
+import { describeError } from './errors.js';
+import { summarizeMessages, getSummaryCutoff } from './summary.js';
+import {
+  createMessageEntry,
+  createConversation,
+  toContextReference,
+  listConversations,
+  loadConversation,
+  saveConversation,
+  deleteConversation as deleteStoredConversation,
+  getActiveConversationId,
+  setActiveConversationId
+} from './storage.js';
+import { resolveContextItem } from './context.js';
+import { promptShare } from './share.js';
+import { startSession, endSession, syncSession, syncSessionUpdate, sendSessionMessage } from './session.js';
+import {
+  toPersona,
+  resolvePersonaActor,
+  buildPersonaPrompt,
+  getNpcMemory,
+  setNpcMemory,
+  rememberConversation as rememberNpcConversation
+} from './npc.js';
+import { parseCommand, executeCommand, getCompletions } from './commands.js';
+import { getBranchInfo, forkHistory, switchBranch } from './branches.js';
+import { ConversationSearch } from './search.js';
+import { exportToJournal, downloadMarkdown, downloadJson, parseConversationJson } from './export.js';
 import { ChatModal, MarkdownParser } from './fimlib/main.js';
 import { getChatModalClass } from './main.js';
 
@@ -20,8 +50,11 @@ export class DivinationChat {
    * @param {string} [options.title="Divination"] - The title of the chat window
    * @param {number} [options.width=400] - The width of the chat window
    * @param {number} [options.height=500] - The height of the chat window
-   * @param {Array} [options.history=[]] - Initial message history
+   * @param {Array} [options.history] - Initial message history for a new conversation. Without one,
+   *   the conversation shown before the last reload is restored.
    * @param {string} [options.id=null] - Unique ID for this chat instance
+   * @param {Object} [options.remoteSession] - Show a shared session hosted by a GM ({ hostId, sessionId })
+   *   instead of the user's own conversations
    */
   constructor(options = {}) {
     this.options = mergeObject({
@@ -32,12 +65,48 @@ export class DivinationChat {
       id: null
     }, options);
 
-    this.history = this.options.history;
     this.id = this.options.id || randomID();
     this.processing = false;
     
+    // The conversation shown in the window; the others are a tab away
+    this.conversationId = null;
+    this.conversationName = "";
+    this.conversationCreated = 0;
+    this.history = [];
+    
+    // Controller for the request in progress, used to cancel it
+    this.abortController = null;
+    
     // Context items for the chat
     this.contextItems = [];
+    
+    // What the token budget forced out of the last request
+    this.lastPacking = null;
+    
+    // Running summary of the older messages and how many messages it covers
+    this.summary = "";
+    this.summarizedCount = 0;
+    this.summarizing = false;
+    
+    // Override of the System Prompt setting and the model profile for this conversation, set by /system and /model
+    this.systemPrompt = null;
+    this.profile = null;
+    
+    // The actor the assistant speaks as, if this is an NPC conversation ({ uuid, name, img })
+    this.actor = null;
+    
+    // The shared session this chat hosts, if any (see session.js)
+    this.session = null;
+    
+    // The shared session this chat shows, when it belongs to another user ({ hostId, sessionId, ended })
+    this.remote = options.remoteSession ? { ...options.remoteSession, ended: false } : null;
+    this.remoteState = { locked: false, processing: false, pendingEntry: null };
+    
+    // The user message being answered, before it is committed to the history
+    this.pendingEntry = null;
+    
+    // Saves are batched, since several changes often happen together
+    this._saveSoon = foundry.utils.debounce(() => this.save(), 500);
 
     // Get the appropriate ChatModal class (the extended version if available)
     const ModalClass = getChatModalClass();
@@ -50,9 +119,21 @@ export class DivinationChat {
       showAvatars: true,
       showCornerText: true
     });
+    
+    // Let the window's header buttons reach this chat
+    this.chatWindow.divinationChat = this;
 
-    // Display welcome message
-    this._displayWelcomeMessage();
+    // Show the conversation open before the last reload, the oldest one, or a new one.
+    // A shared session starts empty and is filled in by the host.
+    let conversation;
+    if (this.remote) {
+      conversation = createConversation("Shared Session");
+    } else if (options.history) {
+      conversation = createConversation("Conversation", { history: this.options.history });
+    } else {
+      conversation = loadConversation(getActiveConversationId()) || listConversations()[0] || createConversation("Conversation");
+    }
+    this._showConversation(conversation);
 
     // Register this instance
     DivinationChat.instances.set(this.id, this);
@@ -63,10 +144,38 @@ export class DivinationChat {
       const input = html.find('textarea.chat-input');
       const message = input.val().trim();
       
-      if (message) {
+      if (!message) return;
+      
+      // Slash commands run here; "//" sends a prompt that starts with a slash
+      if (parseCommand(message)) {
         input.val('');
-        this._handleUserMessage(message);
+        this._hideCommandSuggestions();
+        executeCommand(this, message);
+        return;
+      }
+      
+      // In a shared session hosted by someone else, the host answers
+      if (this.remote) {
+        if (this.remote.ended) {
+          ui.notifications.warn("This shared session has ended.");
+        } else if (this.remoteState.locked) {
+          ui.notifications.warn("The GM has locked the input.");
+        } else if (this.remoteState.processing) {
+          ui.notifications.warn("Divination is still answering. Wait for the reply, then send your message.");
+        } else if (sendSessionMessage(this, message.startsWith('//') ? message.slice(1) : message)) {
+          input.val('');
+        }
+        return;
+      }
+      
+      // Keep the text in the input rather than dropping it while a response is running
+      if (this.processing) {
+        ui.notifications.warn("Divination is still responding. Press Stop to cancel the current request.");
+        return;
       }
+      
+      input.val('');
+      this._handleUserMessage(message.startsWith('//') ? message.slice(1) : message);
     };
     
     // Add listener for reasoning toggle buttons
@@ -74,6 +183,9 @@ export class DivinationChat {
     
     // Set up the context items container
     this._setupContextContainer();
+    
+    // Suggest slash commands while typing
+    this._setupCommandSuggestions();
   }
 
   /**
@@ -84,6 +196,7 @@ export class DivinationChat {
     setTimeout(() => {
       // Just update the context items - the container already exists in the template
       this._updateContextItems();
+      this._updateConversationTabs();
     }, 100);
   }
   
@@ -96,6 +209,11 @@ export class DivinationChat {
    * @param {string} contextItem.content - The text content
    */
   addContext(contextItem) {
+    if (this.remote) {
+      ui.notifications.warn("Only the GM hosting the shared session can add context.");
+      return;
+    }
+    
     // Check if this context already exists (based on id and type)
     const existingIndex = this.contextItems.findIndex(item => 
       item.id === contextItem.id && item.type === contextItem.type
@@ -113,6 +231,7 @@ export class DivinationChat {
     
     // Update the UI
     this._updateContextItems();
+    this._saveSoon();
   }
   
   /**
@@ -127,29 +246,208 @@ export class DivinationChat {
     if (this.contextItems.length < initialLength) {
       // Update the UI if an item was removed
       this._updateContextItems();
+      this._saveSoon();
       ui.notifications.info("Removed context item");
     }
   }
   
+  /**
+   * Remove all context items from the chat
+   */
+  clearContext() {
+    this.contextItems = [];
+    this._updateContextItems();
+    this._saveSoon();
+  }
+
+  /**
+   * Replace the System Prompt setting for this conversation
+   * @param {string|null} prompt - The system prompt, or null to use the setting again
+   */
+  setSystemPrompt(prompt) {
+    this.systemPrompt = prompt;
+    this._saveSoon();
+  }
+
+  /**
+   * Use a model profile for this conversation
+   * @param {string|null} profile - The profile name, or null to use the model settings again
+   */
+  setProfile(profile) {
+    this.profile = profile;
+    this._saveSoon();
+  }
+
+  /**
+   * Show a note in the chat window, such as the output of a command.
+   * Notes are not part of the conversation and are not saved.
+   * @param {string} content - The note as HTML, which is sanitized
+   * @param {Object} [options] - Note options
+   * @param {boolean} [options.error=false] - Whether the note reports an error
+   */
+  addNote(content, { error = false } = {}) {
+    this.chatWindow.addMessage({
+      content: `<div class="divination-note${error ? " divination-error" : ""}">${sanitizeHtml(content)}</div>`,
+      sender: "Divination",
+      cornerText: this._getTimestamp(),
+      img: game.settings.get('divination', 'assistantAvatar')
+    });
+  }
+
+  /**
+   * Show matching slash commands above the input while one is being typed.
+   * Tab completes the highlighted suggestion and the arrow keys move between them.
+   * @private
+   */
+  _setupCommandSuggestions() {
+    setTimeout(() => {
+      const input = $(this.chatWindow.element).find('textarea.chat-input');
+      if (!input.length) return;
+      
+      input.off('.divinationCommands');
+      
+      input.on('input.divinationCommands', () => {
+        this._showCommandSuggestions(input);
+      });
+      
+      input.on('keydown.divinationCommands', (event) => {
+        const list = $(this.chatWindow.element).find('.divination-command-suggestions');
+        const items = list.find('.divination-command-suggestion');
+        if (!items.length) return;
+        
+        const selected = Math.max(items.index(items.filter('.selected')), 0);
+        
+        if (event.key === 'Tab') {
+          event.preventDefault();
+          event.stopPropagation();
+          input.val(items.eq(selected).data('value'));
+          this._showCommandSuggestions(input);
+        } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+          event.preventDefault();
+          const next = (selected + (event.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+          items.removeClass('selected').eq(next).addClass('selected');
+        } else if (event.key === 'Escape') {
+          event.stopPropagation();
+          this._hideCommandSuggestions();
+        }
+      });
+      
+      input.on('blur.divinationCommands', () => {
+        // Leave time for a click on a suggestion to land
+        setTimeout(() => this._hideCommandSuggestions(), 150);
+      });
+    }, 100);
+  }
+
+  /**
+   * Draw the suggestions for the text in the input
+   * @param {jQuery} input - The chat input
+   * @private
+   */
+  _showCommandSuggestions(input) {
+    this._hideCommandSuggestions();
+    
+    const completions = getCompletions(this, input.val());
+    if (!completions.length) return;
+    
+    const list = $(`<ul class="divination-command-suggestions"></ul>`);
+    completions.forEach((completion, i) => {
+      const item = $(`<li class="divination-command-suggestion"></li>`);
+      item.attr('data-value', completion.value);
+      item.append($(`<span class="divination-command-name"></span>`).text(completion.label));
+      if (completion.description) {
+        item.append($(`<span class="divination-command-description"></span>`).text(completion.description));
+      }
+      if (i === 0) item.addClass('selected');
+      
+      item.on('mousedown', (event) => {
+        event.preventDefault();
+        input.val(completion.value).focus();
+        this._showCommandSuggestions(input);
+      });
+      list.append(item);
+    });
+    
+    input.before(list);
+  }
+
+  /**
+   * Remove the command suggestions
+   * @private
+   */
+  _hideCommandSuggestions() {
+    $(this.chatWindow.element).find('.divination-command-suggestions').remove();
+  }
+
+  /**
+   * Rebuild stored context items from their documents
+   * @param {Array} references - The stored context item references
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _restoreContextItems(references) {
+    const conversationId = this.conversationId;
+    const items = await Promise.all(references.map(reference => resolveContextItem(reference).catch(error => {
+      console.error("Divination | Error restoring context item", error);
+      return null;
+    })));
+    
+    // Another conversation may have been opened in the meantime
+    if (this.conversationId !== conversationId) return;
+    
+    const missing = references.filter((reference, i) => !items[i]);
+    if (missing.length) {
+      ui.notifications.warn(`Divination: Context no longer available: ${missing.map(r => r.name).join(', ')}`);
+    }
+    
+    // Keep anything added while the documents were being read
+    const restored = items.filter(item => item && !this.contextItems.some(c => c.id === item.id && c.type === item.type));
+    this.contextItems = [...restored, ...this.contextItems];
+    this._updateContextItems();
+    if (missing.length) this._saveSoon();
+  }
+  
   /**
    * Update the context items in the UI
    * @private
    */
   _updateContextItems() {
-    const contextItemsContainer = $(this.chatWindow.element).find('.auxiliary-content-container .divination-context-items');
+    const auxiliaryContainer = $(this.chatWindow.element).find('.auxiliary-content-container');
+    const contextItemsContainer = auxiliaryContainer.find('.divination-context-items');
     if (!contextItemsContainer.length) return;
     
     // Clear existing items
     contextItemsContainer.empty();
+    auxiliaryContainer.find('.divination-budget-notice').remove();
+    
+    const budgetNotice = this._getBudgetNotice();
+    // The memory of a shared session stays with its host
+    const hasMemory = !this.remote && (Boolean(this.summary) || this.summarizing ||
+      game.settings.get('divination', 'summarizeHistory'));
     
-    // If there are no items, hide the container
-    if (this.contextItems.length === 0) {
-      $(this.chatWindow.element).find('.auxiliary-content-container').hide();
+    // If there are no items, no memory and nothing was cut, hide the container
+    if (this.contextItems.length === 0 && !budgetNotice && !hasMemory) {
+      auxiliaryContainer.hide();
       return;
     }
     
     // Show the container
-    $(this.chatWindow.element).find('.auxiliary-content-container').show();
+    auxiliaryContainer.show();
+    
+    // The conversation memory comes first, since it is always sent
+    if (hasMemory) {
+      const memoryItem = $(`
+        <div class="divination-context-item divination-memory-item" data-tooltip="View or edit the conversation memory">
+          <i class="fas ${this.summarizing ? 'fa-spinner fa-spin' : 'fa-brain'} divination-context-item-icon"></i>
+          <span class="divination-context-item-label">${this.summarizing ? 'Summarizing...' : 'Memory'}</span>
+        </div>
+      `);
+      memoryItem.click(ev => {
+        ev.preventDefault();
+        this.editMemory();
+      });
+      contextItemsContainer.append(memoryItem);
+    }
     
     // Add each context item
     this.contextItems.forEach(item => {
@@ -158,13 +456,16 @@ export class DivinationChat {
       // Determine icon and label based on type
       if (item.type === 'journal') {
         icon = 'fa-book';
-        label = `Journal: ${item.name}`;
+        label = `Journal: ${escapeHtml(item.name)}`;
       } else if (item.type === 'page') {
         icon = 'fa-scroll';
-        label = `Page: ${item.name} (${item.journalName})`;
+        label = `Page: ${escapeHtml(item.name)} (${escapeHtml(item.journalName)})`;
+      } else if (item.type === 'actor') {
+        icon = 'fa-user';
+        label = `Actor: ${escapeHtml(item.name)}`;
       } else {
         icon = 'fa-file-alt';
-        label = item.name || 'Context';
+        label = escapeHtml(item.name || 'Context');
       }
       
       // Create the context item element
@@ -176,6 +477,18 @@ export class DivinationChat {
         </div>
       `);
       
+      // Mark items that had to be cut to fit the token budget on the last request
+      const packing = this.lastPacking?.contextItems.find(p => p.id === item.id && p.type === item.type);
+      if (packing && packing.status !== 'included') {
+        contextItem.addClass(`divination-context-item-${packing.status}`);
+        contextItem.attr('data-tooltip', packing.status === 'dropped'
+          ? "Left out of the last request to fit the token budget"
+          : "Cut short in the last request to fit the token budget");
+      }
+      
+      // Only the host removes the context items of a shared session
+      if (this.remote) contextItem.find('.divination-context-item-remove').remove();
+      
       // Add click handler for the remove button
       contextItem.find('.divination-context-item-remove').click(ev => {
         ev.preventDefault();
@@ -186,16 +499,731 @@ export class DivinationChat {
       // Add the item to the container
       contextItemsContainer.append(contextItem);
     });
+    
+    if (budgetNotice) {
+      contextItemsContainer.after(budgetNotice);
+    }
+  }
+
+  /**
+   * Build the notice shown when the last request had to leave something out
+   * @returns {jQuery|null} - The notice, or null if nothing was cut
+   * @private
+   */
+  _getBudgetNotice() {
+    const packing = this.lastPacking;
+    if (!packing) return null;
+    
+    const cutItems = packing.contextItems.filter(p => p.status !== 'included');
+    if (!packing.droppedMessages && !cutItems.length) return null;
+    
+    const parts = [];
+    if (cutItems.length) {
+      const names = cutItems.map(p => `${p.name} (${p.status})`).join(', ');
+      parts.push(`Context cut: ${names}`);
+    }
+    if (packing.droppedMessages) {
+      parts.push(`${packing.droppedMessages} older message${packing.droppedMessages === 1 ? '' : 's'} left out`);
+    }
+    
+    const notice = $(`
+      <div class="divination-budget-notice">
+        <i class="fas fa-scissors"></i>
+        <span></span>
+      </div>
+    `);
+    notice.find('span').text(`${parts.join('. ')}. (~${packing.used} / ${packing.budget} tokens)`);
+    return notice;
+  }
+
+  /**
+   * Fold older messages into the conversation memory once the history passes the threshold
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force=false] - Summarize even if the threshold hasn't been reached
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _summarizeIfNeeded({ force = false } = {}) {
+    if (this.summarizing) return;
+    
+    const cutoff = getSummaryCutoff(this.history, this.summarizedCount, { force });
+    if (cutoff <= this.summarizedCount) return;
+    
+    // Remember where the cutoff was, in case the history changes while we wait
+    const lastSummarized = this.history[cutoff - 1];
+    
+    this.summarizing = true;
+    this._updateContextItems();
+    
+    try {
+      const summary = await summarizeMessages({
+        summary: this.summary,
+        messages: this.history.slice(this.summarizedCount, cutoff)
+      });
+      
+      if (this.history[cutoff - 1] !== lastSummarized) {
+        log({message: "History changed during summarization, discarding summary", type: ["debug"]});
+        return;
+      }
+      
+      this.summary = summary;
+      this.summarizedCount = cutoff;
+      this._saveSoon();
+    } catch (error) {
+      console.error("Divination | Error summarizing conversation", error);
+      ui.notifications.warn("Divination could not summarize the conversation. Older messages will be kept until the next attempt.");
+    } finally {
+      this.summarizing = false;
+      this._updateContextItems();
+    }
   }
 
   /**
-   * Get a formatted timestamp string for the current time
+   * Open a dialog to view and edit the conversation memory
+   */
+  editMemory() {
+    const covered = this.summarizedCount;
+    const content = `
+      <p class="notes">Summary of the ${covered} earliest message${covered === 1 ? '' : 's'}, sent with every request in place of those messages. Correct anything the summary got wrong.</p>
+      <textarea name="summary" rows="14" style="width: 100%; font-family: inherit;">${escapeHtml(this.summary)}</textarea>
+    `;
+    
+    new Dialog({
+      title: "Divination Memory",
+      content: content,
+      buttons: {
+        save: {
+          icon: '<i class="fas fa-save"></i>',
+          label: "Save",
+          callback: (html) => {
+            this.summary = html.find('textarea[name="summary"]').val().trim();
+            this._updateContextItems();
+            this._saveSoon();
+          }
+        },
+        summarize: {
+          icon: '<i class="fas fa-compress"></i>',
+          label: "Summarize Now",
+          callback: () => this._summarizeIfNeeded({ force: true })
+        },
+        clear: {
+          icon: '<i class="fas fa-trash"></i>',
+          label: "Clear",
+          callback: () => {
+            // Summarized messages are still in the history, so send them in full again
+            this.summary = "";
+            this.summarizedCount = 0;
+            this._updateContextItems();
+            this._saveSoon();
+          }
+        }
+      },
+      default: 'save'
+    }, { width: 480 }).render(true);
+  }
+
+  /**
+   * Save the conversation so it survives a reload
+   * @returns {Promise<void>}
+   */
+  async save() {
+    // A shared session hosted by someone else is saved by the host
+    if (this.remote) return;
+    
+    if (this.session) syncSession(this);
+    
+    try {
+      await saveConversation(this.toConversation());
+    } catch (error) {
+      console.error("Divination | Error saving conversation", error);
+    }
+  }
+
+  /**
+   * Get the conversation being shown, in the form it is stored
+   * @returns {Object} - The conversation
+   */
+  toConversation() {
+    return {
+      id: this.conversationId,
+      name: this.conversationName,
+      created: this.conversationCreated,
+      history: this.history,
+      contextItems: this.contextItems.map(toContextReference),
+      summary: this.summary,
+      summarizedCount: this.summarizedCount,
+      systemPrompt: this.systemPrompt,
+      profile: this.profile,
+      actor: this.actor
+    };
+  }
+
+  /**
+   * Show a conversation in the window, replacing the current one
+   * @param {Object} conversation - The conversation, as stored
+   * @private
+   */
+  _showConversation(conversation) {
+    // A shared session shows one conversation; showing another ends it
+    if (this.session && conversation.id !== this.session.conversationId) {
+      endSession(this);
+      ui.notifications.info("The shared session ended because another conversation was opened.");
+    }
+    
+    this.conversationId = conversation.id;
+    this.conversationName = conversation.name;
+    this.conversationCreated = conversation.created;
+    this.history = conversation.history;
+    this.summary = conversation.summary || "";
+    this.summarizedCount = conversation.summarizedCount || 0;
+    this.systemPrompt = conversation.systemPrompt ?? null;
+    this.profile = conversation.profile || null;
+    this.actor = conversation.actor || null;
+    this.contextItems = [];
+    this.lastPacking = null;
+    
+    this._clearMessages();
+    this._renderHistory();
+    this._displayWelcomeMessage();
+    
+    // Context items are stored as references; read their content again
+    if (conversation.contextItems?.length) {
+      this._restoreContextItems(conversation.contextItems);
+    }
+    
+    this._updateContextItems();
+    this._updateConversationTabs();
+    if (!this.remote) setActiveConversationId(conversation.id);
+  }
+
+  /**
+   * Switch to another stored conversation
+   * @param {string} id - The conversation id
+   * @returns {Promise<boolean>} - Whether the conversation was opened
+   */
+  async switchConversation(id) {
+    if (id === this.conversationId) return true;
+    
+    if (this.processing) {
+      ui.notifications.warn("Divination is still responding. Press Stop before switching conversations.");
+      return false;
+    }
+    
+    // Save first so changes still waiting for the batched save aren't lost
+    await this.save();
+    
+    const conversation = loadConversation(id);
+    if (!conversation) {
+      ui.notifications.warn("That conversation no longer exists.");
+      this._updateConversationTabs();
+      return false;
+    }
+    
+    this._showConversation(conversation);
+    return true;
+  }
+
+  /**
+   * Open a conversation and scroll to one of its messages
+   * @param {string} conversationId - The conversation id
+   * @param {string} messageId - The message entry id
+   * @returns {Promise<boolean>} - Whether the message was found
+   */
+  async jumpToMessage(conversationId, messageId) {
+    if (!this.chatWindow.element?.is(':visible')) this.render(true);
+    if (!await this.switchConversation(conversationId)) return false;
+    
+    // Wait a short time for DOM to update
+    await new Promise(resolve => setTimeout(resolve, 150));
+    
+    const message = $(this.chatWindow.element)
+      .find(`.divination-message[data-divination-id="${messageId}"]`)
+      .closest('.chat-message');
+    if (!message.length) {
+      ui.notifications.warn("That message is no longer in the conversation.");
+      return false;
+    }
+    
+    message[0].scrollIntoView({ block: 'center', behavior: 'smooth' });
+    message.addClass('divination-message-found');
+    setTimeout(() => message.removeClass('divination-message-found'), 2000);
+    return true;
+  }
+
+  /**
+   * Create a new conversation and switch to it
+   * @param {string} [name] - The conversation name; asked for if not given
+   * @returns {Promise<void>}
+   */
+  async newConversation(name) {
+    if (this.processing) {
+      ui.notifications.warn("Divination is still responding. Press Stop before switching conversations.");
+      return;
+    }
+    
+    name = name ?? await this._promptConversationName("New Conversation", `Conversation ${listConversations().length + 1}`);
+    if (!name) return;
+    
+    await this.save();
+    const conversation = createConversation(name);
+    await saveConversation(conversation);
+    this._showConversation(conversation);
+  }
+
+  /**
+   * Rename a conversation
+   * @param {string} id - The conversation id
+   * @returns {Promise<void>}
+   */
+  async renameConversation(id) {
+    const conversation = id === this.conversationId ? null : loadConversation(id);
+    const currentName = conversation ? conversation.name : this.conversationName;
+    
+    const name = await this._promptConversationName("Rename Conversation", currentName);
+    if (!name || name === currentName) return;
+    
+    if (conversation) {
+      await saveConversation({ ...conversation, name: name });
+    } else {
+      this.conversationName = name;
+      await this.save();
+    }
+    this._updateConversationTabs();
+  }
+
+  /**
+   * Copy a conversation, with its history, memory and context items, and switch to the copy
+   * @param {string} id - The conversation id
+   * @returns {Promise<void>}
+   */
+  async duplicateConversation(id) {
+    if (this.processing) {
+      ui.notifications.warn("Divination is still responding. Press Stop before switching conversations.");
+      return;
+    }
+    
+    await this.save();
+    const source = loadConversation(id);
+    if (!source) return;
+    
+    const copy = {
+      ...source,
+      id: createConversation(source.name).id,
+      name: `${source.name} (copy)`,
+      created: Date.now()
+    };
+    await saveConversation(copy);
+    this._showConversation(copy);
+  }
+
+  /**
+   * Ask for confirmation, then delete a conversation.
+   * Deleting the conversation being shown switches to another one.
+   * @param {string} id - The conversation id
+   * @returns {Promise<void>}
+   */
+  async deleteConversation(id) {
+    const isCurrent = id === this.conversationId;
+    if (isCurrent && this.processing) {
+      ui.notifications.warn("Divination is still responding. Press Stop before deleting this conversation.");
+      return;
+    }
+    
+    const name = isCurrent ? this.conversationName : loadConversation(id)?.name;
+    const confirmed = await Dialog.confirm({
+      title: "Delete Conversation",
+      content: `<p>Delete <strong>${escapeHtml(name || "this conversation")}</strong>? This cannot be undone.</p>`
+    });
+    if (!confirmed) return;
+    
+    await deleteStoredConversation(id);
+    
+    if (isCurrent) {
+      const next = listConversations()[0] || createConversation("Conversation");
+      this._showConversation(next);
+    } else {
+      this._updateConversationTabs();
+    }
+  }
+
+  /**
+   * Open a conversation held as an actor, switching to the latest one or starting a new one
+   * @param {Actor} actor - The actor the assistant speaks as
+   * @returns {Promise<void>}
+   */
+  async openAsActor(actor) {
+    if (this.actor?.uuid === actor.uuid) return;
+    
+    const existing = listConversations()
+      .filter(conversation => conversation.actor?.uuid === actor.uuid)
+      .pop();
+    if (existing) {
+      await this.switchConversation(existing.id);
+      return;
+    }
+    
+    if (this.processing) {
+      ui.notifications.warn("Divination is still responding. Press Stop before switching conversations.");
+      return;
+    }
+    
+    await this.save();
+    const conversation = createConversation(actor.name);
+    conversation.actor = toPersona(actor);
+    await saveConversation(conversation);
+    this._showConversation(conversation);
+  }
+
+  /**
+   * Fold an NPC conversation into the actor's memory, so the NPC remembers it in later conversations
+   * @param {string} id - The conversation id
+   * @returns {Promise<void>}
+   */
+  async rememberConversation(id) {
+    const conversation = this._getTabConversation(id);
+    const actor = await resolvePersonaActor(conversation?.actor);
+    if (!actor) return;
+    
+    if (!actor.isOwner) {
+      ui.notifications.warn(`You can't change ${actor.name}'s memory.`);
+      return;
+    }
+    if (!conversation.history.length) return;
+    
+    ui.notifications.info(`${actor.name} is memorizing the conversation...`);
+    try {
+      await rememberNpcConversation(actor, conversation.history);
+      ui.notifications.info(`${actor.name} will remember this conversation.`);
+    } catch (error) {
+      console.error("Divination | Error updating NPC memory", error);
+      ui.notifications.error(`Could not update ${actor.name}'s memory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show and edit what an NPC remembers of earlier conversations
+   * @param {string} id - The conversation id
+   * @returns {Promise<void>}
+   */
+  async editNpcMemory(id) {
+    const conversation = this._getTabConversation(id);
+    const actor = await resolvePersonaActor(conversation?.actor);
+    if (!actor) return;
+    
+    const content = `
+      <p class="notes">What ${escapeHtml(actor.name)} remembers from earlier conversations, sent with every conversation held as ${escapeHtml(actor.name)}. It is stored on the actor.</p>
+      <textarea name="memory" rows="14" style="width: 100%; font-family: inherit;" ${actor.isOwner ? "" : "readonly"}>${escapeHtml(getNpcMemory(actor))}</textarea>
+    `;
+    
+    new Dialog({
+      title: `${actor.name}: Memory`,
+      content: content,
+      buttons: actor.isOwner ? {
+        save: {
+          icon: '<i class="fas fa-save"></i>',
+          label: "Save",
+          callback: (html) => setNpcMemory(actor, html.find('textarea[name="memory"]').val().trim())
+        },
+        remember: {
+          icon: '<i class="fas fa-brain"></i>',
+          label: "Remember This Conversation",
+          callback: () => this.rememberConversation(id)
+        }
+      } : {},
+      default: 'save'
+    }, { width: 480 }).render(true);
+  }
+
+  /**
+   * Export a conversation to a journal page, a Markdown transcript or a JSON file
+   * @param {string} id - The conversation id
+   * @returns {Promise<void>}
+   */
+  async exportConversation(id) {
+    const conversation = this._getTabConversation(id);
+    if (!conversation) return;
+    
+    const journals = game.journal.filter(journal => journal.isOwner);
+    const options = journals
+      .map(journal => `<option value="${journal.id}">${escapeHtml(journal.name)}</option>`)
+      .join('');
+    
+    const content = `
+      <p>Export <strong>${escapeHtml(conversation.name)}</strong>.</p>
+      <div class="form-group">
+        <label>Journal</label>
+        <select name="journal">
+          <option value="">New journal entry</option>
+          ${options}
+        </select>
+      </div>
+      <p class="notes">The transcript is written to a page named after the conversation, and appended to it if the page already exists.</p>
+    `;
+    
+    const exportTo = async (format, html) => {
+      try {
+        if (format === 'journal') {
+          const journal = game.journal.get(html.find('select[name="journal"]').val()) || null;
+          const page = await exportToJournal(conversation, { journal: journal });
+          ui.notifications.info(`Conversation exported to ${page.parent.name}.`);
+          page.parent.sheet.render(true, { pageId: page.id });
+        } else if (format === 'markdown') {
+          downloadMarkdown(conversation);
+        } else {
+          downloadJson(conversation);
+        }
+      } catch (error) {
+        console.error("Divination | Error exporting conversation", error);
+        ui.notifications.error(`Could not export the conversation: ${error.message}`);
+      }
+    };
+    
+    new Dialog({
+      title: "Export Conversation",
+      content: content,
+      buttons: {
+        journal: {
+          icon: '<i class="fas fa-book-open"></i>',
+          label: "Journal",
+          callback: (html) => exportTo('journal', html)
+        },
+        markdown: {
+          icon: '<i class="fab fa-markdown"></i>',
+          label: "Markdown",
+          callback: (html) => exportTo('markdown', html)
+        },
+        json: {
+          icon: '<i class="fas fa-file-code"></i>',
+          label: "JSON",
+          callback: (html) => exportTo('json', html)
+        }
+      },
+      default: 'journal'
+    }).render(true);
+  }
+
+  /**
+   * Import a conversation from an exported JSON file and switch to it
+   * @returns {Promise<void>}
+   */
+  async importConversation() {
+    if (this.processing) {
+      ui.notifications.warn("Divination is still responding. Press Stop before switching conversations.");
+      return;
+    }
+    
+    const file = await Dialog.prompt({
+      title: "Import Conversation",
+      content: `
+        <p>Choose a conversation exported from Divination as JSON.</p>
+        <div class="form-group">
+          <label>File</label>
+          <input type="file" name="file" accept=".json,application/json">
+        </div>
+      `,
+      label: "Import",
+      callback: (html) => html.find('input[name="file"]')[0].files[0] || null,
+      rejectClose: false
+    });
+    if (!file) return;
+    
+    let conversation;
+    try {
+      conversation = parseConversationJson(await readTextFromFile(file));
+    } catch (error) {
+      ui.notifications.error(`Could not import the conversation: ${error.message}`);
+      return;
+    }
+    
+    await this.save();
+    await saveConversation(conversation);
+    this._showConversation(conversation);
+    ui.notifications.info(`Imported ${conversation.name}.`);
+  }
+
+  /**
+   * Ask for a conversation name
+   * @param {string} title - The dialog title
+   * @param {string} value - The initial name
+   * @returns {Promise<string|null>} - The trimmed name, or null if cancelled or empty
+   * @private
+   */
+  async _promptConversationName(title, value) {
+    const name = await Dialog.prompt({
+      title: title,
+      content: `<div class="form-group"><label>Name</label><input type="text" name="name" value="${escapeHtml(value)}" autofocus></div>`,
+      label: "Save",
+      callback: (html) => html.find('input[name="name"]').val().trim(),
+      rejectClose: false
+    });
+    return name || null;
+  }
+
+  /**
+   * Draw the conversation tabs above the messages
+   * @private
+   */
+  _updateConversationTabs() {
+    const messageList = $(this.chatWindow.element).find('.chat-messages');
+    if (!messageList.length) return;
+    
+    $(this.chatWindow.element).find('.divination-conversation-tabs').remove();
+    
+    // A shared session hosted by someone else has no conversations of its own
+    if (this.remote) return;
+    
+    // The current conversation may not have been saved yet
+    const conversations = listConversations().filter(c => c.id !== this.conversationId);
+    conversations.push({ id: this.conversationId, name: this.conversationName, created: this.conversationCreated, actor: this.actor });
+    conversations.sort((a, b) => a.created - b.created);
+    
+    const tabs = $(`<nav class="divination-conversation-tabs"></nav>`);
+    
+    for (const conversation of conversations) {
+      const tab = $(`<a class="divination-conversation-tab" data-conversation-id="${conversation.id}"></a>`);
+      tab.text(conversation.name);
+      if (conversation.actor?.img) {
+        tab.prepend($(`<img class="divination-conversation-actor">`).attr('src', conversation.actor.img));
+      }
+      tab.attr('data-tooltip', conversation.name);
+      if (conversation.id === this.conversationId) tab.addClass('active');
+      
+      tab.click(ev => {
+        ev.preventDefault();
+        this.switchConversation(conversation.id);
+      });
+      tab.dblclick(ev => {
+        ev.preventDefault();
+        this.renameConversation(conversation.id);
+      });
+      tabs.append(tab);
+    }
+    
+    const newButton = $(`
+      <a class="divination-conversation-new" data-tooltip="New conversation">
+        <i class="fas fa-plus"></i>
+      </a>
+    `);
+    newButton.click(ev => {
+      ev.preventDefault();
+      this.newConversation();
+    });
+    tabs.append(newButton);
+    
+    const importButton = $(`
+      <a class="divination-conversation-new" data-tooltip="Import conversation">
+        <i class="fas fa-file-import"></i>
+      </a>
+    `);
+    importButton.click(ev => {
+      ev.preventDefault();
+      this.importConversation();
+    });
+    tabs.append(importButton);
+    
+    const searchButton = $(`
+      <a class="divination-conversation-new" data-tooltip="Search conversations">
+        <i class="fas fa-search"></i>
+      </a>
+    `);
+    searchButton.click(ev => {
+      ev.preventDefault();
+      ConversationSearch.open(this);
+    });
+    tabs.append(searchButton);
+    
+    messageList.before(tabs);
+    
+    // Rename, duplicate, export and delete from the tab's context menu
+    new ContextMenu(tabs, '.divination-conversation-tab', [
+      {
+        name: "Rename",
+        icon: '<i class="fas fa-edit"></i>',
+        callback: (li) => this.renameConversation(li.data('conversation-id'))
+      },
+      {
+        name: "Duplicate",
+        icon: '<i class="fas fa-copy"></i>',
+        callback: (li) => this.duplicateConversation(li.data('conversation-id'))
+      },
+      {
+        name: "Export",
+        icon: '<i class="fas fa-file-export"></i>',
+        callback: (li) => this.exportConversation(li.data('conversation-id'))
+      },
+      {
+        name: "NPC Memory",
+        icon: '<i class="fas fa-brain"></i>',
+        condition: (li) => Boolean(this._getTabConversation(li.data('conversation-id'))?.actor),
+        callback: (li) => this.editNpcMemory(li.data('conversation-id'))
+      },
+      {
+        name: "Delete",
+        icon: '<i class="fas fa-trash"></i>',
+        callback: (li) => this.deleteConversation(li.data('conversation-id'))
+      }
+    ]);
+  }
+
+  /**
+   * Get a conversation shown in the tabs, which may be the current, not yet saved one
+   * @param {string} id - The conversation id
+   * @returns {Object|null} - The conversation
+   * @private
+   */
+  _getTabConversation(id) {
+    return id === this.conversationId ? this.toConversation() : loadConversation(id);
+  }
+
+  /**
+   * Clear the conversation and its memory, keeping the context items
+   * @returns {Promise<void>}
+   */
+  async clearConversation() {
+    this.cancelRequest();
+    
+    this.history = [];
+    this.summary = "";
+    this.summarizedCount = 0;
+    this.lastPacking = null;
+    
+    this._clearMessages();
+    this._displayWelcomeMessage();
+    this._updateContextItems();
+    await this.save();
+  }
+
+  /**
+   * Ask for confirmation, then clear the conversation
+   */
+  confirmClear() {
+    Dialog.confirm({
+      title: "Clear Conversation",
+      content: "<p>Clear this conversation and its memory? Context items are kept. This cannot be undone.</p>",
+      yes: () => this.clearConversation()
+    });
+  }
+
+  /**
+   * Remove all messages from the chat window
+   * @private
+   */
+  _clearMessages() {
+    // ChatModal keeps its messages for re-rendering as well as in the DOM
+    if (Array.isArray(this.chatWindow.messages)) {
+      this.chatWindow.messages.length = 0;
+    }
+    $(this.chatWindow.element).find('.chat-messages').empty();
+  }
+
+  /**
+   * Get a formatted timestamp string
+   * @param {number} [time=Date.now()] - The time to format, in milliseconds
    * @returns {string} - Formatted timestamp
    * @private
    */
-  _getTimestamp() {
-    const now = new Date();
-    return now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  _getTimestamp(time = Date.now()) {
+    return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
   }
 
   /**
@@ -269,11 +1297,18 @@ export class DivinationChat {
     // Re-setup reasoning listeners after re-render
     this._setupReasoningListeners();
     
-    // Re-setup copy buttons after re-render
+    // Re-setup copy buttons and turn controls after re-render
     this._setupCopyButtons();
+    this._setupTurnControls();
     
     // Re-setup context container after re-render
     this._setupContextContainer();
+    
+    // Re-setup command suggestions after re-render
+    this._setupCommandSuggestions();
+    
+    // Keep the input of a shared session disabled while the user can't send
+    if (this.remote) setTimeout(() => this._updateSessionInput(), 100);
   }
 
   /**
@@ -288,37 +1323,192 @@ export class DivinationChat {
   }
 
   /**
-   * Display a welcome message in the chat
+   * Get the name and image the assistant's messages are shown with
+   * @returns {Object} - { name, img }: the NPC's in an NPC conversation, otherwise the assistant's
+   * @private
+   */
+  _getAssistantIdentity() {
+    return {
+      name: this.actor?.name || game.settings.get('divination', 'assistantName'),
+      img: this.actor?.img || game.settings.get('divination', 'assistantAvatar')
+    };
+  }
+
+  /**
+   * Get the system prompt for the next request
+   * @returns {Promise<string|undefined>} - The conversation's own system prompt, the NPC's persona,
+   *   or undefined to use the System Prompt setting
+   * @private
+   */
+  async _getSystemPrompt() {
+    if (this.systemPrompt !== null) return this.systemPrompt;
+    if (!this.actor) return undefined;
+    
+    const actor = await resolvePersonaActor(this.actor);
+    if (!actor) {
+      ui.notifications.warn(`Divination: ${this.actor.name} no longer exists, so their persona can't be used.`);
+      return undefined;
+    }
+    return buildPersonaPrompt(actor);
+  }
+
+  /**
+   * Display a welcome message in the chat
+   * @private
+   */
+  _displayWelcomeMessage() {
+    // Get assistant name from settings
+    const assistantName = game.settings.get('divination', 'assistantName');
+    
+    // Create greeting message
+    const greetingMessage = `Greetings! I am ${assistantName}, and I will provide the answers you seek.`;
+    
+    // Add to visual chat and history only if the history is empty.
+    // NPCs don't get the assistant's greeting, which would be out of character.
+    if (this.history.length === 0 && !this.actor && !this.remote) {
+      const entry = createMessageEntry('assistant', greetingMessage);
+      
+      // Add to conversation history for API context
+      this.history.push(entry);
+      this._addEntryMessage(entry);
+    }
+    
+    // Set up copy button for the welcome message
+    this._setupCopyButtons();
+  }
+
+  /**
+   * Show every message in the history, e.g. after the conversation was restored
+   * @param {Array<Object>} [entries=this.history] - The entries to show
+   * @private
+   */
+  _renderHistory(entries = this.history) {
+    for (const entry of entries) {
+      this._addEntryMessage(entry);
+    }
+    
+    this._setupReasoningListeners();
+    this._setupCopyButtons();
+    this._setupTurnControls();
+  }
+
+  /**
+   * Replace the messages in the window with the history, e.g. after switching branches
+   * @private
+   */
+  _rerenderHistory() {
+    this._clearMessages();
+    this._renderHistory();
+  }
+
+  /**
+   * Set up the edit, regenerate and branch controls on the messages in the history
+   * @private
+   */
+  _setupTurnControls() {
+    // Only the host changes a shared session
+    if (this.remote) return;
+    
+    // Wait a short time for DOM to update
+    setTimeout(() => {
+      const lastReply = this.history.map(entry => entry.role).lastIndexOf('assistant');
+      
+      $(this.chatWindow.element).find('.divination-message[data-divination-id]').each((i, element) => {
+        const $message = $(element).closest('.chat-message');
+        $message.find('.divination-turn-controls').remove();
+        
+        const position = this.history.findIndex(entry => entry.id === element.dataset.divinationId);
+        if (position < 0) return;
+        
+        const entry = this.history[position];
+        const controls = $(`<span class="divination-turn-controls"></span>`);
+        
+        // Flip between the branches that start at this message
+        const branch = getBranchInfo(entry);
+        if (branch) {
+          const previous = $(`<button class="divination-copy-btn" title="Previous branch"><i class="fas fa-chevron-left"></i></button>`);
+          const next = $(`<button class="divination-copy-btn" title="Next branch"><i class="fas fa-chevron-right"></i></button>`);
+          previous.prop('disabled', branch.index === 0);
+          next.prop('disabled', branch.index === branch.count - 1);
+          previous.on('click', (event) => {
+            event.preventDefault();
+            this.selectBranch(position, branch.index - 1);
+          });
+          next.on('click', (event) => {
+            event.preventDefault();
+            this.selectBranch(position, branch.index + 1);
+          });
+          controls.append(previous, `<span class="divination-branch-count">${branch.index + 1}/${branch.count}</span>`, next);
+        }
+        
+        if (entry.role === 'user') {
+          const editButton = $(`<button class="divination-copy-btn" title="Edit and resend"><i class="fas fa-edit"></i></button>`);
+          editButton.on('click', (event) => {
+            event.preventDefault();
+            this.editMessage(position);
+          });
+          controls.append(editButton);
+        } else if (position === lastReply && this.history[position - 1]?.role === 'user') {
+          const regenerateButton = $(`<button class="divination-copy-btn" title="Regenerate reply"><i class="fas fa-redo"></i></button>`);
+          regenerateButton.on('click', (event) => {
+            event.preventDefault();
+            this.regenerateReply(position);
+          });
+          controls.append(regenerateButton);
+        }
+        
+        // The GM hosting a shared session can remove any message
+        if (this.session) {
+          const removeButton = $(`<button class="divination-copy-btn" title="Remove message"><i class="fas fa-trash"></i></button>`);
+          removeButton.on('click', (event) => {
+            event.preventDefault();
+            this.removeMessage(entry.id);
+          });
+          controls.append(removeButton);
+        }
+        
+        if (controls.children().length) {
+          $message.find('.message-metadata').append(controls);
+        }
+      });
+    }, 150);
+  }
+
+  /**
+   * Add a history entry to the chat window
+   * @param {Object} entry - The message entry
+   * @returns {jQuery} - The chat message element
    * @private
    */
-  _displayWelcomeMessage() {
-    // Get assistant name from settings
-    const assistantName = game.settings.get('divination', 'assistantName');
-    const assistantAvatar = game.settings.get('divination', 'assistantAvatar');
+  _addEntryMessage(entry) {
+    const isUser = entry.role === 'user';
+    const content = isUser
+      ? `<p>${escapeHtml(entry.content).replace(/\n/g, '<br>')}</p>`
+      : this._formatBotMessage(entry.content, entry.reasoning);
     
-    // Create greeting message
-    const greetingMessage = `Greetings! I am ${assistantName}, and I will provide the answers you seek.`;
+    const assistant = this._getAssistantIdentity();
     
-    // Add to visual chat and history only if the history is empty
-    if (this.history.length === 0) {
-      this.chatWindow.addMessage({
-        content: `<p>${greetingMessage}</p>`,
-        sender: assistantName,
-        cornerText: this._getTimestamp(),
-        img: assistantAvatar
-      });
-      
-      // Add to conversation history for API context
-      if (this.history && Array.isArray(this.history)) {
-        this.history.push({
-          role: 'assistant',
-          content: greetingMessage
-        });
-      }
+    // In shared sessions user messages come from several users
+    const author = isUser ? (game.users.get(entry.userId) || game.user) : null;
+    
+    const messageElement = $(this.chatWindow.addMessage({
+      content: `<div class="divination-message" data-divination-id="${entry.id || ''}">${content}</div>`,
+      sender: isUser ? author.name : assistant.name,
+      cornerText: this._getTimestamp(entry.timestamp),
+      isCurrentUser: isUser && author.id === game.user.id,
+      img: isUser
+        ? author.avatar || 'icons/svg/mystery-man.svg'
+        : assistant.img
+    }));
+    
+    // Turn document links and inline rolls into Foundry's clickable ones
+    if (!isUser) {
+      const actor = this.actor ? fromUuidSync(this.actor.uuid) : null;
+      enrichResponses(messageElement, { actor: actor instanceof Actor ? actor : null })
+        .catch(error => console.error("Divination | Error enriching response:", error));
     }
     
-    // Set up copy button for the welcome message
-    this._setupCopyButtons();
+    return messageElement;
   }
 
   /**
@@ -348,14 +1538,14 @@ export class DivinationChat {
 
   /**
    * Set up copy buttons for assistant messages
-   * This adds a copy button to each assistant message
+   * This adds copy and share buttons to each assistant message
    * @private
    */
   _setupCopyButtons() {
     // Wait a short time for DOM to update
     setTimeout(() => {
-      // Get the assistant name from settings
-      const assistantName = game.settings.get('divination', 'assistantName');
+      // Get the assistant name, which is the NPC's name in an NPC conversation
+      const assistantName = this._getAssistantIdentity().name;
       
       // Find all assistant messages in this chat window
       const assistantMessages = $(this.chatWindow.element)
@@ -383,11 +1573,37 @@ export class DivinationChat {
         // Create tooltip element
         const tooltip = $(`<div class="divination-copy-tooltip">Copied!</div>`);
         
-        // Add the button to the message header's metadata section
+        // Create a share button
+        const shareButton = $(`
+          <button class="divination-copy-btn divination-share-btn" title="Share to chat" data-message-id="${messageId}">
+            <i class="fas fa-share-square"></i>
+          </button>
+        `);
+        
+        // Add the buttons to the message header's metadata section
         const metadataSection = $message.find('.message-metadata');
-        metadataSection.append(copyButton);
+        metadataSection.append(copyButton, shareButton);
         metadataSection.css('position', 'relative').append(tooltip);
         
+        // Add click handler to post the response to the Foundry chat log
+        shareButton.on('click', (event) => {
+          event.preventDefault();
+          event.stopPropagation();
+          
+          const contentEl = $message.find('.message-content');
+          const responseSection = contentEl.find('.divination-response');
+          const html = (responseSection.length ? responseSection : contentEl).html();
+          
+          promptShare(html, {
+            conversationId: this.conversationId,
+            conversationName: this.conversationName,
+            messageId: $message.find('.divination-message').data('divination-id') || null
+          }, {
+            // NPC replies are spoken by the NPC by default
+            speaker: this.actor ? `actor:${this.actor.uuid}` : 'assistant'
+          });
+        });
+        
         // Add click handler to copy message content
         copyButton.on('click', async (event) => {
           // Get the message content (excluding any potential reasoning section)
@@ -535,12 +1751,15 @@ export class DivinationChat {
   /**
    * Format bot messages with markdown and special tokens
    * @param {string} message - The bot's message
+   * @param {string} [reasoning=""] - The reasoning that preceded the message, if any
    * @returns {string} - Formatted HTML
    * @private
    */
-  _formatBotMessage(message) {
+  _formatBotMessage(message, reasoning = "") {
     if (!message) return '<p>No response received.</p>';
     
+    const reasoningHtml = formatReasoningHtml(reasoning, game.settings.get('divination', 'reasoningDisplay'));
+    
     try {
       // Check if message already has HTML tags
       const hasHtmlTags = /<\/?[a-z][\s\S]*>/i.test(message);
@@ -549,18 +1768,118 @@ export class DivinationChat {
       
       if (hasHtmlTags) {
         // If it already has HTML, just wrap in a div
-        formattedMessage = `<div class="divination-response">${message}</div>`;
+        formattedMessage = `<div class="divination-response">${sanitizeHtml(message)}</div>`;
       } else {
         // Otherwise parse markdown
-        formattedMessage = `<div class="divination-response">${MarkdownParser.parse(message)}</div>`;
+        formattedMessage = `<div class="divination-response">${sanitizeHtml(MarkdownParser.parse(message))}</div>`;
       }
       
-      return formattedMessage;
+      return reasoningHtml + formattedMessage;
     } catch (error) {
       console.error("Divination | Error formatting message:", error);
-      // Return raw message if formatting fails
-      return `<div class="divination-response"><p>${message}</p></div>`;
+      // Show the message as plain text if formatting fails
+      return `${reasoningHtml}<div class="divination-response"><p>${escapeHtml(message)}</p></div>`;
+    }
+  }
+
+  /**
+   * Format a partial streamed response
+   * @param {Object} partial - The partial result reported by sendMessage
+   * @param {string} partial.rawContent - The response text received so far
+   * @param {string} partial.reasoning - The reasoning text received so far
+   * @param {boolean} partial.pending - Whether the text may still be reasoning
+   * @returns {string} - Formatted HTML
+   * @private
+   */
+  _formatStreamingMessage(partial) {
+    if (!partial.rawContent) {
+      // Until the answer starts (e.g. while a reasoning block is still open), show the reasoning in progress
+      const reasoningDisplay = game.settings.get('divination', 'reasoningDisplay');
+      if (reasoningDisplay === "hide" || !partial.reasoning) {
+        return `<p><i>Thinking...</i></p>`;
+      }
+      return formatReasoningHtml(partial.reasoning, "show");
+    }
+    
+    return this._formatBotMessage(partial.rawContent, partial.reasoning);
+  }
+
+  /**
+   * Render a partial streamed response into the placeholder message.
+   * Updates are batched to one per animation frame.
+   * @param {jQuery} messageElement - The placeholder chat message
+   * @param {Object} partial - The partial result reported by sendMessage
+   * @private
+   */
+  _updateStreamingMessage(messageElement, partial) {
+    if (!messageElement?.length) return;
+    
+    this._pendingStreamUpdate = partial;
+    if (this._streamFrame) return;
+    
+    this._streamFrame = requestAnimationFrame(() => {
+      this._streamFrame = null;
+      
+      const contentEl = messageElement.find('.message-content');
+      const messageList = messageElement.closest('.chat-messages');
+      
+      // Only follow the stream if the user hasn't scrolled up to read earlier messages
+      const list = messageList[0];
+      const atBottom = !list || (list.scrollHeight - list.scrollTop - list.clientHeight) < 40;
+      
+      contentEl.html(this._formatStreamingMessage(this._pendingStreamUpdate));
+      
+      if (list && atBottom) {
+        list.scrollTop = list.scrollHeight;
+      }
+    });
+  }
+
+  /**
+   * Cancel the request currently being processed, if any
+   * @returns {boolean} - Whether a request was cancelled
+   */
+  cancelRequest() {
+    if (!this.processing || !this.abortController) return false;
+    this.abortController.abort();
+    return true;
+  }
+
+  /**
+   * Add a Stop button to the thinking/streaming placeholder
+   * @param {jQuery} thinkingMessage - The placeholder message
+   * @private
+   */
+  _addStopButton(thinkingMessage) {
+    const stopButton = $(`
+      <button class="divination-stop-btn" title="Stop generating">
+        <i class="fas fa-stop"></i> Stop
+      </button>
+    `);
+    
+    stopButton.on('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.cancelRequest();
+    });
+    
+    thinkingMessage.find('.message-metadata').append(stopButton);
+  }
+
+  /**
+   * Send a message as if the user had typed it
+   * @param {string} message - The message
+   * @returns {Promise<boolean>} - Whether the message was sent
+   */
+  async submit(message) {
+    if (!message?.trim()) return false;
+    if (this.processing) {
+      ui.notifications.warn("Divination is still responding. Press Stop to cancel the current request.");
+      return false;
     }
+    
+    await this._handleUserMessage(message.trim());
+    return true;
   }
 
   /**
@@ -569,71 +1888,412 @@ export class DivinationChat {
    * @private
    */
   async _handleUserMessage(message) {
+    await this._generateResponse({
+      userEntry: createMessageEntry('user', message, { userId: game.user.id }),
+      position: this.history.length
+    });
+  }
+
+  /**
+   * Answer a message a participant sent to the shared session this chat hosts
+   * @param {string} userId - The participant's user id
+   * @param {string} message - The message
+   * @returns {Promise<void>}
+   */
+  async receiveSessionMessage(userId, message) {
+    if (!this.session || this.processing) return;
+    
+    await this._generateResponse({
+      userEntry: createMessageEntry('user', message, { userId: userId }),
+      position: this.history.length
+    });
+  }
+
+  /**
+   * Generate a new reply to the user message before an assistant reply, keeping the old reply as a branch
+   * @param {number} position - The position of the assistant reply in the history
+   * @returns {Promise<void>}
+   */
+  async regenerateReply(position) {
+    if (this.processing) return;
+    
+    const userEntry = this.history[position - 1];
+    if (this.history[position]?.role !== 'assistant' || userEntry?.role !== 'user') return;
+    
+    await this._generateResponse({ userEntry: userEntry, position: position, regenerate: true });
+  }
+
+  /**
+   * Edit a user message and send it again, keeping the original as a branch
+   * @param {number} position - The position of the user message in the history
+   * @returns {Promise<void>}
+   */
+  async editMessage(position) {
+    const entry = this.history[position];
+    if (this.processing || entry?.role !== 'user') return;
+    
+    const message = await Dialog.prompt({
+      title: "Edit Message",
+      content: `<textarea name="message" rows="6" autofocus>${escapeHtml(entry.content)}</textarea>`,
+      label: "Send",
+      callback: (html) => html.find('textarea[name="message"]').val().trim(),
+      rejectClose: false
+    });
+    if (!message || this.processing || this.history[position] !== entry) return;
+    
+    await this._generateResponse({
+      userEntry: createMessageEntry('user', message, { userId: entry.userId || game.user.id }),
+      position: position
+    });
+  }
+
+  /**
+   * Show another branch of the conversation at a fork
+   * @param {number} position - The position of the fork in the history
+   * @param {number} index - The branch to show
+   */
+  selectBranch(position, index) {
+    if (this.processing) return;
+    
+    const history = switchBranch(this.history, position, index);
+    if (history === this.history) return;
+    
+    this.history = history;
+    
+    // The memory covers messages that are no longer in the history, so it is rebuilt
+    if (position < this.summarizedCount) {
+      this.summary = "";
+      this.summarizedCount = 0;
+    }
+    
+    this._rerenderHistory();
+    this._updateContextItems();
+    this._saveSoon();
+    this._summarizeIfNeeded();
+  }
+
+  /**
+   * Remove a message from the history
+   * @param {string} id - The message entry id
+   */
+  removeMessage(id) {
+    if (this.processing) return;
+    
+    const position = this.history.findIndex(entry => entry.id === id);
+    if (position < 0) return;
+    
+    this.history = this.history.filter(entry => entry.id !== id);
+    
+    // The memory still describes the removed message, so it is rebuilt
+    if (position < this.summarizedCount) {
+      this.summary = "";
+      this.summarizedCount = 0;
+    }
+    
+    this._rerenderHistory();
+    this._updateContextItems();
+    this._saveSoon();
+    this._summarizeIfNeeded();
+  }
+
+  /**
+   * Get the text sent to the assistant for a history entry.
+   * In a shared session, user messages are prefixed with their author so the assistant knows who is speaking.
+   * @param {Object} entry - The message entry
+   * @returns {string} - The message text
+   * @private
+   */
+  _getRequestContent(entry) {
+    if (!this.session || entry.role !== 'user') return entry.content;
+    const author = game.users.get(entry.userId) || game.user;
+    return `${author.name}: ${entry.content}`;
+  }
+
+  /**
+   * Share the conversation with other users, or manage the shared session
+   */
+  openSessionDialog() {
+    if (!game.user.isGM || this.remote) return;
+    
+    if (this.session) {
+      const session = this.session;
+      const names = session.userIds
+        ? session.userIds.map(id => game.users.get(id)?.name).filter(Boolean).join(', ')
+        : "everyone";
+      
+      new Dialog({
+        title: "Shared Session",
+        content: `
+          <p><strong>${escapeHtml(this.conversationName)}</strong> is shared with ${escapeHtml(names)}.</p>
+          <div class="form-group">
+            <label>Lock Input</label>
+            <div class="form-fields"><input type="checkbox" name="locked" ${session.locked ? "checked" : ""}></div>
+          </div>
+          <p class="notes">While the input is locked, only you can send messages.</p>
+        `,
+        buttons: {
+          save: {
+            icon: '<i class="fas fa-check"></i>',
+            label: "Save",
+            callback: (html) => this.setSessionLocked(html.find('input[name="locked"]').is(':checked'))
+          },
+          end: {
+            icon: '<i class="fas fa-door-closed"></i>',
+            label: "End Session",
+            callback: () => this.endSession()
+          }
+        },
+        default: 'save'
+      }).render(true);
+      return;
+    }
+    
+    const players = game.users.filter(user => user.id !== game.user.id && hasPermission(user));
+    const checkboxes = players.map(user => `
+      <label class="divination-share-user">
+        <input type="checkbox" name="users" value="${user.id}" checked>
+        ${escapeHtml(user.name)}${user.active ? "" : " (offline)"}
+      </label>
+    `).join('');
+    
+    Dialog.prompt({
+      title: "Share Session",
+      content: `
+        <form class="divination-share">
+          <p>Open <strong>${escapeHtml(this.conversationName)}</strong> to other users. They see the conversation as it happens and can send messages, which are answered with your settings one at a time.</p>
+          <div class="form-group">
+            <label>Share With</label>
+            <select name="audience">
+              <option value="all">Everyone</option>
+              <option value="chosen">Chosen users</option>
+            </select>
+          </div>
+          <div class="form-group divination-share-users" style="display: none;">
+            <label>Users</label>
+            <div class="form-fields">${checkboxes || "<em>No other users</em>"}</div>
+          </div>
+        </form>
+      `,
+      label: "Share",
+      render: (html) => {
+        html.find('select[name="audience"]').on('change', ev => {
+          html.find('.divination-share-users').toggle(ev.currentTarget.value === 'chosen');
+          html.closest('.app').css('height', 'auto');
+        });
+      },
+      callback: (html) => {
+        if (html.find('select[name="audience"]').val() === 'all') return { userIds: null };
+        return { userIds: html.find('input[name="users"]:checked').map((i, el) => el.value).get() };
+      },
+      rejectClose: false
+    }).then(result => {
+      if (!result) return;
+      if (result.userIds && !result.userIds.length) {
+        ui.notifications.warn("Choose at least one user to share the session with.");
+        return;
+      }
+      startSession(this, result.userIds);
+      this._rerenderHistory();
+      ui.notifications.info(`Shared ${this.conversationName}.`);
+    });
+  }
+
+  /**
+   * Lock or unlock the input of the shared session this chat hosts
+   * @param {boolean} locked - Whether only the host can send messages
+   */
+  setSessionLocked(locked) {
+    if (!this.session) return;
+    this.session.locked = locked;
+    syncSession(this);
+  }
+
+  /**
+   * End the shared session this chat hosts
+   */
+  endSession() {
+    if (!this.session) return;
+    endSession(this);
+    this._rerenderHistory();
+    ui.notifications.info("The shared session has ended.");
+  }
+
+  /**
+   * Show the state of a shared session sent by its host
+   * @param {Object} state - The session state (see syncSession)
+   */
+  applySessionState(state) {
+    if (!this.remote) return;
+    
+    this.conversationName = state.name;
+    this.history = state.history || [];
+    this.actor = state.actor || null;
+    this.contextItems = state.contextItems || [];
+    this.remoteState = {
+      locked: Boolean(state.locked),
+      processing: Boolean(state.processing),
+      pendingEntry: state.pendingEntry || null
+    };
+    
+    this._rerenderHistory();
+    if (this.remoteState.pendingEntry) {
+      this._addEntryMessage(this.remoteState.pendingEntry);
+    }
+    
+    // Show that a reply is on its way
+    this._remoteThinking = null;
+    if (this.remoteState.processing) {
+      const assistant = this._getAssistantIdentity();
+      this._remoteThinking = $(this.chatWindow.addMessage({
+        content: `<p><i>Thinking...</i></p>`,
+        sender: assistant.name,
+        cornerText: this._getTimestamp(),
+        img: assistant.img
+      }));
+    }
+    
+    this._updateContextItems();
+    this._updateSessionInput();
+  }
+
+  /**
+   * Show the streamed text of the reply the host is generating
+   * @param {Object} partial - The partial result (see syncSessionUpdate)
+   */
+  applySessionUpdate(partial) {
+    if (!this.remote || !this._remoteThinking) return;
+    this._updateStreamingMessage(this._remoteThinking, partial);
+  }
+
+  /**
+   * Mark the shared session this chat shows as ended
+   */
+  endRemoteSession() {
+    if (!this.remote || this.remote.ended) return;
+    this.remote.ended = true;
+    this.remoteState.processing = false;
+    this._removeThinkingMessage(this._remoteThinking);
+    this._remoteThinking = null;
+    this.addNote("The GM has ended this shared session.");
+    this._updateSessionInput();
+  }
+
+  /**
+   * Disable the input of a shared session while the user can't send messages
+   * @private
+   */
+  _updateSessionInput() {
+    const input = $(this.chatWindow.element).find('textarea.chat-input');
+    if (!input.length) return;
+    
+    let reason = "";
+    if (this.remote?.ended) reason = "This shared session has ended.";
+    else if (this.remoteState.locked) reason = "The GM has locked the input.";
+    else if (this.remoteState.processing) reason = "Waiting for the reply...";
+    
+    input.prop('disabled', Boolean(reason));
+    input.attr('placeholder', reason);
+  }
+
+  /**
+   * Send a user message and add the response to the history.
+   * When the position is before the end of the history, the conversation forks there and
+   * the reply (and for an edit, the new user message) becomes a new branch.
+   * @param {Object} options - What to generate
+   * @param {Object} options.userEntry - The user message entry
+   * @param {number} options.position - Where the new messages go in the history
+   * @param {boolean} [options.regenerate=false] - Whether only the reply is new; the user message is the one before the position
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _generateResponse({ userEntry, position, regenerate = false }) {
+    // Placeholder shown while the response is generated
+    let thinkingMessage = null;
+    let thinkingTimeout = null;
+    
+    // Whether the conversation forks, rather than continuing at the end
+    const forking = position < this.history.length;
+    
+    // Messages sent with the request: everything before the user message
+    const requestStart = regenerate ? position - 1 : position;
+    
+    // The memory can only be used if it doesn't cover messages after the fork
+    const useMemory = this.summarizedCount <= requestStart;
+    
+    // Put the shown branch back if no reply arrives
+    const restore = () => {
+      if (forking) this._rerenderHistory();
+    };
+    
     try {
       if (this.processing) return;
       this.processing = true;
+      this.abortController = new AbortController();
       
-      // Get user info
-      const userName = game.user.name;
-      const userAvatar = game.user.avatar || 'icons/svg/mystery-man.svg';
+      // Let the participants of a shared session see the message and that a reply is coming
+      this.pendingEntry = regenerate ? null : userEntry;
+      if (this.session) syncSession(this);
       
-      // Add user message to visual chat
-      this.chatWindow.addMessage({
-        content: `<p>${message}</p>`,
-        sender: userName,
-        cornerText: this._getTimestamp(),
-        isCurrentUser: true,
-        img: userAvatar
-      });
+      if (forking) {
+        // Show the conversation up to the fork while the new branch is generated
+        this._clearMessages();
+        this._renderHistory(this.history.slice(0, position));
+      }
       
-      // Add to conversation history
-      this.history.push({
-        role: 'user',
-        content: message
-      });
+      // Add user message to visual chat
+      if (!regenerate) {
+        this._addEntryMessage(userEntry);
+      }
       
-      // Get assistant name
-      const assistantName = game.settings.get('divination', 'assistantName');
-      const assistantAvatar = game.settings.get('divination', 'assistantAvatar');
+      // Get assistant name, or the NPC's
+      const { name: assistantName, img: assistantAvatar } = this._getAssistantIdentity();
       
-      // Prepare for thinking indicator
-      let thinkingMessage = null;
-      let thinkingTimeout = null;
+      const showThinking = () => {
+        if (thinkingMessage) return;
+        clearTimeout(thinkingTimeout);
+        thinkingMessage = $(this.chatWindow.addMessage({
+          content: `<p><i>Thinking...</i></p>`,
+          sender: assistantName,
+          cornerText: this._getTimestamp(),
+          img: assistantAvatar
+        }));
+        this._addStopButton(thinkingMessage);
+      };
       
       // Generate a random delay between 500-1000ms for thinking indicator
       const thinkingDelay = Math.floor(Math.random() * 501) + 500;
       
       // Set up timeout for showing thinking indicator
-      thinkingTimeout = setTimeout(() => {
-        // Show thinking indicator after delay
-        thinkingMessage = this.chatWindow.addMessage({
-          content: `<p><i>Thinking...</i></p>`,
-          sender: assistantName,
-          cornerText: this._getTimestamp(),
-          img: assistantAvatar
-        });
-      }, thinkingDelay);
+      thinkingTimeout = setTimeout(showThinking, thinkingDelay);
       
       // Generate response from API
       // Pass context items separately from history to keep them as reference material
       const response = await sendMessage({ 
-        message: message,
-        history: this.history,
-        contextItems: this.contextItems 
+        message: this._getRequestContent(userEntry),
+        // Summarized messages are replaced by the memory
+        history: this.history.slice(useMemory ? this.summarizedCount : 0, requestStart)
+          .map(entry => ({ ...entry, content: this._getRequestContent(entry) })),
+        contextItems: this.contextItems,
+        systemPrompt: await this._getSystemPrompt(),
+        profile: this.profile,
+        assistantName: assistantName,
+        memory: useMemory ? this.summary : "",
+        documentLinks: true,
+        signal: this.abortController.signal,
+        onUpdate: (partial) => {
+          // Streamed text replaces the thinking indicator as soon as it arrives
+          showThinking();
+          this._updateStreamingMessage(thinkingMessage, partial);
+          if (this.session) syncSessionUpdate(this, partial);
+        }
       });
       
-      // Clear timeout if response came back before thinking indicator was shown
-      clearTimeout(thinkingTimeout);
-      
-      // Remove thinking indicator if it was shown
-      if (thinkingMessage) {
-        thinkingMessage.remove();
-      }
-      
       if (response.error) {
+        restore();
+        
         // Show error in chat
         this.chatWindow.addMessage({
-          content: `<p class="divination-error">Error: ${response.error}</p>`,
+          content: `<p class="divination-error">Error: ${escapeHtml(response.error)}</p>`,
           sender: assistantName,
           cornerText: this._getTimestamp(),
           img: assistantAvatar
@@ -641,46 +2301,112 @@ export class DivinationChat {
         return;
       }
       
-      // Get bot response - use proper property based on the returned response object
-      let botMessage = "";
-      
-      // Check what format the response is in
-      if (typeof response === 'string') {
-        // Simple string response
-        botMessage = response;
-      } else if (response.response) {
-        // Direct response property
-        botMessage = response.response;
-      } else if (response.content) {
-        // Content property (from the API wrapper)
-        botMessage = response.content;
-      } else if (response.rawContent) {
-        // Raw content property
-        botMessage = response.rawContent;
-      } else {
-        // Fallback
-        botMessage = "I'm sorry, I couldn't generate a response.";
+      const botMessage = response.rawContent || "I'm sorry, I couldn't generate a response.";
+      const assistantEntry = createMessageEntry('assistant', botMessage, { reasoning: response.reasoning });
+      
+      // Commit the exchange to history only once the response is complete,
+      // so partial or failed responses never reach the conversation
+      this.history = forkHistory(this.history, position, regenerate ? [assistantEntry] : [userEntry, assistantEntry]);
+      if (!useMemory) {
+        this.summary = "";
+        this.summarizedCount = 0;
       }
+      this._saveSoon();
       
-      // Add to conversation history
-      this.history.push({
-        role: 'assistant',
-        content: botMessage
-      });
+      // Show what had to be cut to fit the token budget
+      this.lastPacking = response.packing || null;
+      this._updateContextItems();
       
-      // Add formatted response to visual chat
-      this.chatWindow.addMessage({
-        content: this._formatBotMessage(botMessage),
-        sender: assistantName,
-        cornerText: this._getTimestamp(),
-        img: assistantAvatar
-      });
+      // Swap the placeholder for the final formatted response
+      this._removeThinkingMessage(thinkingMessage);
+      thinkingMessage = null;
+      
+      this._addEntryMessage(assistantEntry);
+      
+      this._setupReasoningListeners();
+      this._setupCopyButtons();
+      this._setupTurnControls();
+      
+      // Fold older messages into the memory in the background
+      this._summarizeIfNeeded();
       
     } catch (error) {
+      this._removeThinkingMessage(thinkingMessage);
+      thinkingMessage = null;
+      restore();
+      
+      if (error.name === 'AbortError') {
+        // Leave a marker where the response would have been; history is untouched
+        this.chatWindow.addMessage({
+          content: `<p class="divination-cancelled"><i class="fas fa-ban"></i> Request cancelled.</p>`,
+          sender: this._getAssistantIdentity().name,
+          cornerText: this._getTimestamp(),
+          img: this._getAssistantIdentity().img
+        });
+        return;
+      }
+      
       console.error("Divination | Error handling user message", error);
-      ui.notifications.error("Error processing message. See console for details.");
+      
+      // Show the failure in the conversation so it isn't mistaken for a slow response
+      this.chatWindow.addMessage({
+        content: this._formatError(error),
+        sender: this._getAssistantIdentity().name,
+        cornerText: this._getTimestamp(),
+        img: this._getAssistantIdentity().img
+      });
     } finally {
+      clearTimeout(thinkingTimeout);
+      this._removeThinkingMessage(thinkingMessage);
+      this.abortController = null;
       this.processing = false;
+      this.pendingEntry = null;
+      if (this.session) syncSession(this);
+    }
+  }
+
+  /**
+   * Format a failed request as an error bubble
+   * @param {Error} error - The error
+   * @returns {string} - Formatted HTML
+   * @private
+   */
+  _formatError(error) {
+    const { title, hint, icon } = describeError(error);
+    
+    let html = `<div class="divination-error">
+      <p class="divination-error-title"><i class="fas ${icon}"></i> ${title}</p>`;
+    
+    if (hint) {
+      html += `<p class="divination-error-hint">${hint}</p>`;
+    }
+    
+    html += `<p class="divination-error-message">${escapeHtml(error.message)}</p>`;
+    
+    // Include what the provider said, since it usually names the actual problem
+    if (error.body) {
+      const label = error.status ? `Provider response (HTTP ${error.status})` : "Provider response";
+      html += `<details class="divination-error-body">
+        <summary>${label}</summary>
+        <pre>${escapeHtml(error.body)}</pre>
+      </details>`;
+    }
+    
+    return html + `</div>`;
+  }
+
+  /**
+   * Remove the thinking/streaming placeholder message
+   * @param {jQuery|null} thinkingMessage - The placeholder message
+   * @private
+   */
+  _removeThinkingMessage(thinkingMessage) {
+    if (this._streamFrame) {
+      cancelAnimationFrame(this._streamFrame);
+      this._streamFrame = null;
+    }
+    if (thinkingMessage) {
+      thinkingMessage.remove();
     }
   }
-} 
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,306 @@
+import { escapeHtml } from './utils.js';
+import { getModelProfiles, getModelProfile, resolveModelSettings } from './profiles.js';
+import { getPrompts, usePrompt } from './prompts.js';
+import { PromptLibrary } from './prompt-library.js';
+import { ConversationSearch } from './search.js';
+import { ActorGenerator, canGenerateActors } from './actor-generator.js';
+import { TableGenerator, canGenerateTables } from './table-generator.js';
+
+/**
+ * Slash commands for the Divination input box
+ *
+ * A message starting with "/" runs a command instead of being sent as a prompt; start it with
+ * "//" to send a prompt that begins with a slash. Other modules can add commands through the
+ * Divination global, which is available from the init hook onwards:
+ *
+ *   Divination.registerCommand({
+ *     name: 'weather',
+ *     args: '[region]',
+ *     description: 'Describe the weather',
+ *     execute: async (chat, args) => chat.addNote(`It is raining in ${args || 'the valley'}.`)
+ *   });
+ *
+ * A command is { name, args, description, execute(chat, args), complete(chat, args), remote }, where
+ * args is the usage shown in /help and complete optionally returns suggestions for the arguments.
+ * In a shared session hosted by another user, only commands marked remote are available.
+ */
+
+/**
+ * The registered commands, by name
+ * @type {Map<string, Object>}
+ */
+const commands = new Map();
+
+/**
+ * Register a slash command, replacing any command with the same name
+ * @param {Object} command - The command
+ * @param {string} command.name - The name typed after the slash
+ * @param {string} [command.args=""] - Usage of the arguments, e.g. "<formula>"
+ * @param {string} command.description - What the command does, shown in /help
+ * @param {Function} command.execute - Called with (chat, args), where args is the text after the name
+ * @param {Function} [command.complete] - Called with (chat, args); returns suggested arguments
+ * @param {boolean} [command.remote=false] - Whether the command works in a shared session hosted by another user
+ */
+export function registerCommand(command) {
+  if (!command?.name || typeof command.execute !== 'function') {
+    throw new Error("Divination | A command needs a name and an execute function");
+  }
+  commands.set(command.name.toLowerCase(), { args: "", description: "", ...command, name: command.name.toLowerCase() });
+}
+
+/**
+ * Remove a slash command
+ * @param {string} name - The command name
+ * @returns {boolean} - Whether a command was removed
+ */
+export function unregisterCommand(name) {
+  return commands.delete(name.toLowerCase());
+}
+
+/**
+ * List the registered commands, sorted by name
+ * @param {DivinationChat} [chat] - Only list the commands available in this chat
+ * @returns {Array<Object>} - The commands
+ */
+export function getCommands(chat = null) {
+  return [...commands.values()]
+    .filter(command => !chat?.remote || command.remote)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Split input into a command name and its arguments
+ * @param {string} text - The input text
+ * @returns {Object|null} - { name, args }, or null if the text is not a command
+ */
+export function parseCommand(text) {
+  const match = /^\/(\S+)(?:\s+([\s\S]*))?$/.exec(text.trim());
+  if (!match || match[1].startsWith('/')) return null;
+  return { name: match[1].toLowerCase(), args: (match[2] || "").trim() };
+}
+
+/**
+ * Run the command in the input, if it is one
+ * @param {DivinationChat} chat - The chat the command was typed in
+ * @param {string} text - The input text
+ * @returns {Promise<boolean>} - Whether the text was a command
+ */
+export async function executeCommand(chat, text) {
+  const parsed = parseCommand(text);
+  if (!parsed) return false;
+
+  const command = commands.get(parsed.name);
+  if (command && chat.remote && !command.remote) {
+    chat.addNote(`<code>/${escapeHtml(parsed.name)}</code> is not available in a shared session.`, { error: true });
+    return true;
+  }
+  if (!command) {
+    chat.addNote(`Unknown command <code>/${escapeHtml(parsed.name)}</code>. Type <code>/help</code> to see the commands.`, { error: true });
+    return true;
+  }
+
+  try {
+    await command.execute(chat, parsed.args);
+  } catch (error) {
+    console.error(`Divination | Error running /${command.name}`, error);
+    chat.addNote(`<code>/${escapeHtml(command.name)}</code> failed: ${escapeHtml(error.message)}`, { error: true });
+  }
+  return true;
+}
+
+/**
+ * Suggest completions for partially typed input
+ * @param {DivinationChat} chat - The chat the input is typed in
+ * @param {string} text - The input text
+ * @returns {Array<Object>} - Suggestions as { value, label, description }, where value replaces the input
+ */
+export function getCompletions(chat, text) {
+  if (!text.startsWith('/') || text.startsWith('//')) return [];
+
+  // Still typing the name: suggest commands
+  const nameMatch = /^\/(\S*)$/.exec(text);
+  if (nameMatch) {
+    const partial = nameMatch[1].toLowerCase();
+    return getCommands(chat)
+      .filter(command => command.name.startsWith(partial))
+      .map(command => ({
+        value: `/${command.name}${command.args ? " " : ""}`,
+        label: `/${command.name} ${command.args}`.trim(),
+        description: command.description
+      }));
+  }
+
+  // Typing arguments: ask the command
+  const parsed = parseCommand(text);
+  const command = parsed && commands.get(parsed.name);
+  if (!command?.complete || (chat.remote && !command.remote)) return [];
+
+  return (command.complete(chat, parsed.args) || [])
+    .filter(option => option.toLowerCase().startsWith(parsed.args.toLowerCase()) && option !== parsed.args)
+    .map(option => ({ value: `/${command.name} ${option}`, label: option, description: "" }));
+}
+
+/**
+ * Register the built-in commands
+ */
+export function registerDefaultCommands() {
+  registerCommand({
+    name: 'help',
+    description: "List the commands",
+    remote: true,
+    execute: async (chat) => {
+      const rows = getCommands(chat)
+        .map(command => `<li><code>/${escapeHtml(`${command.name} ${command.args}`.trim())}</code> ${escapeHtml(command.description)}</li>`)
+        .join('');
+      chat.addNote(`<p>Commands:</p><ul>${rows}</ul><p>Start a message with <code>//</code> to send it as a prompt beginning with a slash.</p>`);
+    }
+  });
+
+  registerCommand({
+    name: 'clear',
+    description: "Clear the conversation and its memory",
+    execute: async (chat) => chat.confirmClear()
+  });
+
+  registerCommand({
+    name: 'system',
+    args: "<text>|reset",
+    description: "Replace the system prompt for this conversation, or show it",
+    complete: () => ['reset'],
+    execute: async (chat, args) => {
+      if (!args) {
+        const prompt = chat.systemPrompt ?? game.settings.get('divination', 'systemPrompt');
+        const source = chat.systemPrompt === null ? "the System Prompt setting" : "this conversation";
+        chat.addNote(`<p>System prompt from ${source}:</p><blockquote>${escapeHtml(prompt)}</blockquote>`);
+      } else if (args.toLowerCase() === 'reset') {
+        chat.setSystemPrompt(null);
+        chat.addNote("This conversation uses the System Prompt setting again.");
+      } else {
+        chat.setSystemPrompt(args);
+        chat.addNote("This conversation now uses its own system prompt.");
+      }
+    }
+  });
+
+  registerCommand({
+    name: 'context',
+    args: "list|clear",
+    description: "List or remove the context items",
+    complete: () => ['list', 'clear'],
+    execute: async (chat, args) => {
+      const action = args.toLowerCase() || 'list';
+      if (action === 'clear') {
+        chat.clearContext();
+        chat.addNote("Removed all context items.");
+      } else if (action === 'list') {
+        if (!chat.contextItems.length) {
+          chat.addNote("No context items.");
+          return;
+        }
+        const rows = chat.contextItems
+          .map(item => `<li>${escapeHtml(item.type === 'page' ? `${item.name} (${item.journalName})` : item.name)}</li>`)
+          .join('');
+        chat.addNote(`<p>Context items:</p><ul>${rows}</ul>`);
+      } else {
+        throw new Error(`Unknown action "${args}". Use list or clear.`);
+      }
+    }
+  });
+
+  registerCommand({
+    name: 'model',
+    args: "<profile>|reset",
+    description: "Switch this conversation to a model profile, or show the model and the profiles",
+    complete: () => [...getModelProfiles().map(profile => profile.name), 'reset'],
+    execute: async (chat, args) => {
+      if (!args) {
+        const settings = resolveModelSettings(chat.profile);
+        const model = settings.model || "the provider's default";
+        const source = settings.profile ? `the <strong>${escapeHtml(settings.profile)}</strong> profile` : "the Model setting";
+        const missing = chat.profile && !settings.profile
+          ? `<p>The <strong>${escapeHtml(chat.profile)}</strong> profile no longer exists.</p>`
+          : "";
+        const names = getModelProfiles().map(profile => `<code>${escapeHtml(profile.name)}</code>`).join(', ');
+        chat.addNote(`<p>Model: <code>${escapeHtml(model)}</code>, from ${source}.</p>${missing}<p>${names ? `Profiles: ${names}` : "No model profiles are configured."}</p>`);
+      } else if (args.toLowerCase() === 'reset') {
+        chat.setProfile(null);
+        chat.addNote("This conversation uses the model settings again.");
+      } else {
+        const profile = getModelProfile(args);
+        if (!profile) throw new Error(`There is no model profile named "${args}". Type /model to list the profiles.`);
+        chat.setProfile(profile.name);
+        const model = resolveModelSettings(profile.name).model || "the provider's default";
+        chat.addNote(`This conversation now uses the <strong>${escapeHtml(profile.name)}</strong> profile (<code>${escapeHtml(model)}</code>).`);
+      }
+    }
+  });
+
+  registerCommand({
+    name: 'search',
+    args: "[query]",
+    description: "Search all your conversations",
+    execute: async (chat, args) => ConversationSearch.open(chat, args)
+  });
+
+  registerCommand({
+    name: 'export',
+    description: "Export the conversation",
+    execute: async (chat) => chat.exportConversation(chat.conversationId)
+  });
+
+  registerCommand({
+    name: 'prompt',
+    args: "[title]",
+    description: "Use a saved prompt, or open the prompt library",
+    complete: () => getPrompts().map(prompt => prompt.title),
+    execute: async (chat, args) => {
+      if (!args) {
+        new PromptLibrary(chat).render(true);
+        return;
+      }
+      const prompt = getPrompts().find(p => p.title.toLowerCase() === args.toLowerCase());
+      if (!prompt) throw new Error(`There is no saved prompt called "${args}".`);
+      await usePrompt(chat, prompt);
+    }
+  });
+
+  registerCommand({
+    name: 'npc',
+    args: "[description]",
+    description: "Generate an NPC and create it as an actor",
+    execute: async (chat, args) => {
+      if (!canGenerateActors()) throw new Error("You don't have permission to create actors.");
+      ActorGenerator.open(args);
+    }
+  });
+
+  registerCommand({
+    name: 'table',
+    args: "[formula] [theme]",
+    description: "Generate a roll table, e.g. /table 1d20 random encounters in a swamp",
+    execute: async (chat, args) => {
+      if (!canGenerateTables()) throw new Error("You don't have permission to create roll tables.");
+      const [first, ...rest] = args.split(/\s+/);
+      const hasFormula = /^\d*d\d+/i.test(first) && Roll.validate(first);
+      TableGenerator.open({
+        formula: hasFormula ? first : "",
+        theme: hasFormula ? rest.join(' ') : args
+      });
+    }
+  });
+
+  registerCommand({
+    name: 'roll',
+    args: "<formula>",
+    description: "Roll dice and post the roll to the chat log",
+    remote: true,
+    execute: async (chat, args) => {
+      if (!args) throw new Error("Give a dice formula, e.g. /roll 1d20+5");
+      if (!Roll.validate(args)) throw new Error(`"${args}" is not a valid dice formula.`);
+
+      const roll = await new Roll(args).evaluate();
+      await roll.toMessage({ flavor: "Divination" });
+      chat.addNote(`<i class="fas fa-dice-d20"></i> ${escapeHtml(roll.formula)} = <strong>${roll.total}</strong>`);
+    }
+  });
+}
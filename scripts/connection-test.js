@@ -0,0 +1,342 @@
+import { log, escapeHtml, getValueAtPath } from './utils.js';
+import { prepareRequest, buildHttpRequest, getApiKey } from './api.js';
+import { describeError, errorFromException } from './errors.js';
+
+/**
+ * Connection test for the Divination settings
+ *
+ * Shows the request sendMessage would build from the current settings, with the API key
+ * redacted, then sends it once and shows the raw response with the value read from the
+ * response path highlighted. When nothing is found there, likely paths are suggested.
+ */
+
+/**
+ * Message sent by default when testing
+ * @type {string}
+ */
+const DEFAULT_TEST_MESSAGE = "Hello! Please reply with one short sentence.";
+
+/**
+ * Number of candidate response paths to suggest
+ * @type {number}
+ */
+const MAX_CANDIDATES = 5;
+
+/**
+ * Settings menu that previews the request payload and sends a test request
+ */
+export class ConnectionTest extends FormApplication {
+  constructor(...args) {
+    super(...args);
+    this.message = DEFAULT_TEST_MESSAGE;
+    this.testing = false;
+    this.result = null;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'divination-connection-test',
+      title: "Divination: Test Connection",
+      template: 'modules/divination/templates/connection-test.hbs',
+      classes: ['divination-connection-test'],
+      width: 640,
+      height: 'auto',
+      resizable: true,
+      closeOnSubmit: false,
+      submitOnChange: false
+    });
+  }
+
+  /**
+   * Build the preview from the current settings
+   * @returns {Object} - The template data
+   */
+  getData() {
+    const preview = buildPreview(this.message);
+    return {
+      message: this.message,
+      preview: preview,
+      testing: this.testing,
+      result: this.result
+    };
+  }
+
+  /**
+   * Activate listeners for the form
+   * @param {jQuery} html - The rendered form
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('input[name="message"]').on('change', (event) => {
+      this.message = event.target.value || DEFAULT_TEST_MESSAGE;
+      this.result = null;
+      this.render();
+    });
+
+    html.find('.divination-test-send').on('click', (event) => {
+      event.preventDefault();
+      this.runTest();
+    });
+
+    html.find('.divination-use-path').on('click', async (event) => {
+      event.preventDefault();
+      await game.settings.set('divination', 'responseJsonPath', event.currentTarget.dataset.path);
+      ui.notifications.info(`Divination: Response JSON Path set to ${event.currentTarget.dataset.path}`);
+      // Re-read the same response with the new path
+      if (this.result?.raw) this.result = describeResult(this.result.raw);
+      this.render();
+    });
+  }
+
+  /**
+   * Send the previewed request once and show the response
+   */
+  async runTest() {
+    if (this.testing) return;
+
+    this.testing = true;
+    this.result = null;
+    this.render();
+
+    try {
+      this.result = describeResult(await sendTestRequest(this.message));
+    } catch (error) {
+      const classified = errorFromException(error);
+      const { title, hint } = describeError(classified);
+      this.result = { error: { title: title, hint: hint, message: classified.message } };
+      log({
+        message: "Connection test failed",
+        error: error,
+        type: ["warn"]
+      });
+    } finally {
+      this.testing = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Nothing to save; the form only drives the test
+   */
+  async _updateObject() {}
+}
+
+/**
+ * Prepare a test request the same way sendMessage does
+ * @param {string} message - The test message
+ * @returns {Object} - The prepared request
+ * @private
+ */
+function prepareTestRequest(message) {
+  // Streaming is turned off so the whole response can be shown
+  return prepareRequest({
+    message: message,
+    history: [],
+    contextItems: [],
+    stream: false
+  });
+}
+
+/**
+ * Build the redacted preview of the HTTP request
+ * @param {string} message - The test message
+ * @returns {Object} - The provider, url, headers and payload as display text, or the error building them
+ * @private
+ */
+function buildPreview(message) {
+  const apiKey = getApiKey();
+
+  try {
+    const { provider, url, headers, payload } = buildHttpRequest(prepareTestRequest(message));
+    return {
+      provider: provider.label,
+      responsePath: provider.describeResponsePath(),
+      url: redact(url, apiKey),
+      headers: redact(JSON.stringify(headers, null, 2), apiKey),
+      payload: redact(JSON.stringify(payload, null, 2), apiKey)
+    };
+  } catch (error) {
+    const classified = errorFromException(error);
+    return {
+      error: {
+        title: describeError(classified).title,
+        message: classified.message,
+        body: classified.body || ""
+      }
+    };
+  }
+}
+
+/**
+ * Send the test request once, without retries
+ * @param {string} message - The test message
+ * @returns {Promise<Object>} - The provider, HTTP status, raw body text and parsed JSON (if any)
+ * @private
+ */
+async function sendTestRequest(message) {
+  const { provider, url, headers, payload } = buildHttpRequest(prepareTestRequest(message));
+  const timeoutSeconds = game.settings.get('divination', 'requestTimeout');
+  const controller = new AbortController();
+  const timer = timeoutSeconds > 0 ? setTimeout(() => controller.abort(), timeoutSeconds * 1000) : null;
+  const started = Date.now();
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+    const text = await response.text();
+
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      // Not JSON; the raw text is shown instead
+    }
+
+    return {
+      provider: provider,
+      status: response.status,
+      statusText: response.statusText,
+      ok: response.ok,
+      duration: Date.now() - started,
+      text: text,
+      data: data
+    };
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(`The request timed out after ${timeoutSeconds} seconds.`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Turn a test response into template data
+ * @param {Object} raw - The result of sendTestRequest
+ * @returns {Object} - The template data for the result
+ * @private
+ */
+function describeResult(raw) {
+  const path = raw.provider.describeResponsePath();
+  const result = {
+    raw: raw,
+    status: `${raw.status} ${raw.statusText}`.trim(),
+    ok: raw.ok,
+    duration: raw.duration,
+    path: path,
+    isJson: raw.data !== null,
+    canUsePath: raw.provider.id === 'generic'
+  };
+
+  if (!result.isJson) {
+    result.responseHtml = escapeHtml(raw.text);
+    return result;
+  }
+
+  const value = raw.ok ? raw.provider.extractResponse(raw.data) : undefined;
+  result.found = typeof value === 'string' && value.length > 0;
+  result.value = result.found ? value : "";
+  // Only highlight a path that exists as written; adapters may read more than one place
+  const highlight = getValueAtPath(raw.data, path) === undefined ? null : path;
+  result.responseHtml = renderJsonHtml(raw.data, highlight);
+
+  if (raw.ok && !result.found) {
+    result.candidates = findCandidatePaths(raw.data);
+  }
+
+  return result;
+}
+
+/**
+ * Replace an API key in text with a redacted form
+ * @param {string} text - The text
+ * @param {string} apiKey - The API key
+ * @returns {string} - The text without the key
+ * @private
+ */
+function redact(text, apiKey) {
+  if (!apiKey) return text;
+  const masked = apiKey.length > 12 ? `${apiKey.substring(0, 3)}…${apiKey.substring(apiKey.length - 4)}` : "••••••••";
+  return text.split(apiKey).join(masked);
+}
+
+/**
+ * Pretty-print JSON as HTML, wrapping the value at one path in a highlight
+ * @param {*} value - The value to print
+ * @param {string|null} highlight - The dot notation path to highlight
+ * @param {Array} [path=[]] - The path of the value being printed
+ * @param {string} [indent=""] - The current indentation
+ * @returns {string} - The HTML
+ * @private
+ */
+function renderJsonHtml(value, highlight, path = [], indent = "") {
+  let html;
+
+  if (value !== null && typeof value === 'object') {
+    const isArray = Array.isArray(value);
+    const entries = Object.entries(value);
+    const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+
+    if (!entries.length) {
+      html = open + close;
+    } else {
+      const inner = `${indent}  `;
+      const lines = entries.map(([key, child]) => {
+        const label = isArray ? "" : `${escapeHtml(JSON.stringify(key))}: `;
+        return inner + label + renderJsonHtml(child, highlight, [...path, key], inner);
+      });
+      html = `${open}\n${lines.join(',\n')}\n${indent}${close}`;
+    }
+  } else {
+    html = escapeHtml(JSON.stringify(value));
+  }
+
+  if (highlight !== null && path.length && path.join('.') === highlight) {
+    return `<mark class="divination-json-highlight">${html}</mark>`;
+  }
+  return html;
+}
+
+/**
+ * Find paths in a response that likely hold the generated text.
+ * Non-empty strings are ranked by length, preferring keys that usually carry text.
+ * @param {*} data - The parsed response
+ * @returns {Array<{path: string, preview: string}>} - The candidate paths, best first
+ * @private
+ */
+function findCandidatePaths(data) {
+  const found = [];
+
+  const walk = (value, path) => {
+    if (typeof value === 'string') {
+      if (value.trim()) found.push({ path: path.join('.'), value: value });
+    } else if (value !== null && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        walk(child, [...path, key]);
+      }
+    }
+  };
+  walk(data, []);
+
+  const score = ({ path, value }) => {
+    const key = path.split('.').pop();
+    let points = Math.min(value.length, 1000);
+    if (/^(content|text|response|output|message|generated_text|completion)$/i.test(key)) points += 2000;
+    if (/^(id|model|role|object|type|finish_reason|stop_reason|created_at)$/i.test(key)) points -= 2000;
+    return points;
+  };
+
+  return found
+    .sort((a, b) => score(b) - score(a))
+    .slice(0, MAX_CANDIDATES)
+    .map(({ path, value }) => ({
+      path: path,
+      preview: value.length > 80 ? `${value.substring(0, 80)}…` : value
+    }));
+}
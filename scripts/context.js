@@ -0,0 +1,156 @@
+/**
+ * Context items for the Divination module
+ *
+ * A context item is reference material added to the system prompt:
+ * { type: "journal"|"page"|"actor", id, uuid, name, journalName, content }
+ */
+import { getActorBiography } from './npc.js';
+
+/**
+ * Create a context item for a whole journal
+ * @param {JournalEntry} journal - The journal entry
+ * @returns {Promise<Object>} - The context item
+ */
+export async function createJournalContext(journal) {
+  return {
+    type: 'journal',
+    id: journal.id,
+    uuid: journal.uuid,
+    name: journal.name,
+    content: await getJournalContent(journal, 'all')
+  };
+}
+
+/**
+ * Create a context item for a single journal page
+ * @param {JournalEntryPage} page - The journal page
+ * @returns {Promise<Object>} - The context item
+ */
+export async function createPageContext(page) {
+  return {
+    type: 'page',
+    id: page.id,
+    uuid: page.uuid,
+    name: page.name,
+    journalName: page.parent?.name || "",
+    content: await extractPageContent(page)
+  };
+}
+
+/**
+ * Create a context item for an actor, e.g. the selected token's
+ * @param {Actor} actor - The actor
+ * @returns {Promise<Object>} - The context item
+ */
+export async function createActorContext(actor) {
+  return {
+    type: 'actor',
+    // Unlinked tokens share their base actor's id, so the UUID tells them apart
+    id: actor.uuid,
+    uuid: actor.uuid,
+    name: actor.name,
+    content: getActorContent(actor)
+  };
+}
+
+/**
+ * Describe an actor in plain text: its type, biography and items
+ * @param {Actor} actor - The actor
+ * @returns {string} - The description
+ * @private
+ */
+function getActorContent(actor) {
+  const lines = [`Type: ${actor.type}`];
+
+  const biography = getActorBiography(actor);
+  if (biography) lines.push(`Biography: ${biography}`);
+
+  if (actor.items.size) {
+    const items = actor.items.map(item => `${item.name} (${item.type})`).join(', ');
+    lines.push(`Items: ${items}`);
+  }
+
+  return lines.join('\n\n');
+}
+
+/**
+ * Rebuild a context item from a stored reference, reading the document's current content
+ * @param {Object} reference - The stored reference ({ type, uuid, ... })
+ * @returns {Promise<Object|null>} - The context item, or null if the document no longer exists or the user can't see it
+ */
+export async function resolveContextItem(reference) {
+  if (!reference?.uuid) return null;
+
+  const doc = await fromUuid(reference.uuid);
+  if (!doc) return null;
+
+  // References can come from other users, e.g. shared prompts; don't read what this user can't see
+  if (!doc.testUserPermission(game.user, 'OBSERVER')) return null;
+
+  if (reference.type === 'journal') return createJournalContext(doc);
+  if (reference.type === 'page') return createPageContext(doc);
+  if (reference.type === 'actor') return createActorContext(doc);
+  return null;
+}
+
+/**
+ * Extract content from a journal or specific page
+ * @param {JournalEntry} journal - The journal entry
+ * @param {string} pageId - The page ID or 'all' for all pages
+ * @returns {string} - The extracted content
+ */
+export async function getJournalContent(journal, pageId) {
+  try {
+    if (pageId === 'all') {
+      // Extract content from all pages
+      const allContent = [];
+      for (const page of journal.pages) {
+        const content = await extractPageContent(page);
+        if (content) {
+          allContent.push(`## ${page.name}\n\n${content}`);
+        }
+      }
+      return allContent.join('\n\n');
+    } else {
+      // Extract content from specific page
+      const page = journal.pages.get(pageId);
+      if (!page) return '';
+      return await extractPageContent(page);
+    }
+  } catch (error) {
+    console.error("Divination | Error extracting journal content", error);
+    return '';
+  }
+}
+
+/**
+ * Extract content from a journal page
+ * @param {JournalEntryPage} page - The journal page
+ * @returns {string} - The extracted content
+ */
+export async function extractPageContent(page) {
+  try {
+    if (page.text && page.text.content) {
+      // Handle text content
+      let content = page.text.content;
+
+      // Remove HTML tags and convert to plain text
+      const tempDiv = document.createElement('div');
+      tempDiv.innerHTML = content;
+      content = tempDiv.textContent || tempDiv.innerText || '';
+
+      return content.trim();
+    } else if (page.type === 'image') {
+      // For image pages, just return the caption or a placeholder
+      return page.image?.caption || `[Image: ${page.name}]`;
+    } else if (page.type === 'pdf') {
+      // For PDF pages, just return a placeholder
+      return `[PDF Document: ${page.name}]`;
+    }
+
+    return '';
+  } catch (error) {
+    console.error("Divination | Error extracting page content", error);
+    return '';
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Foundry enrichment for the Divination module
+ *
+ * Replies are run through TextEditor.enrichHTML once they are shown, so @UUID[...] document
+ * links open on click, [[/r ...]] inline rolls can be rolled and system enrichers (e.g. @Check)
+ * work as they do in journals. Enrichment runs after sanitizeHtml, since the markup it creates
+ * is Foundry's own and would otherwise be stripped.
+ *
+ * For the model to write valid links it has to know the UUIDs, so requests can include a
+ * document index in the system prompt. The Document Links setting chooses what it lists: the
+ * documents in the context items, or also the world documents the user can see.
+ */
+
+/**
+ * Most documents listed in the document index
+ * @type {number}
+ */
+const MAX_INDEXED_DOCUMENTS = 200;
+
+/**
+ * World collections listed in the document index when Document Links is "world"
+ * @type {Array<string>}
+ */
+const WORLD_COLLECTIONS = ['actors', 'items', 'journal', 'scenes', 'tables'];
+
+/**
+ * Enrich the replies in a chat message element in place
+ * @param {jQuery} messageElement - The chat message
+ * @param {Object} [options] - Enrichment options
+ * @param {Actor} [options.actor] - The actor whose roll data inline rolls use, e.g. the NPC being played
+ * @returns {Promise<void>}
+ */
+export async function enrichResponses(messageElement, { actor = null } = {}) {
+  if (!game.settings.get('divination', 'enrichResponses')) return;
+
+  const responses = messageElement?.find('.divination-response') || [];
+  for (const element of responses) {
+    element.innerHTML = await TextEditor.enrichHTML(element.innerHTML, {
+      secrets: false,
+      rollData: actor?.getRollData?.() || {},
+      relativeTo: actor || undefined
+    });
+  }
+}
+
+/**
+ * Build the system prompt section that lists the documents the model can link to
+ * @param {Array<Object>} [contextItems=[]] - The conversation's context items
+ * @returns {string} - The section, or an empty string if Document Links is off or there is nothing to list
+ */
+export function buildDocumentIndex(contextItems = []) {
+  const mode = game.settings.get('divination', 'documentLinks');
+  if (mode === 'none') return "";
+
+  const documents = new Map();
+  const add = (doc) => {
+    if (doc?.uuid && doc.visible !== false && documents.size < MAX_INDEXED_DOCUMENTS) {
+      documents.set(doc.uuid, doc);
+    }
+  };
+
+  // The context documents come first, with the pages of whole journals
+  for (const item of contextItems) {
+    const doc = item.uuid ? fromUuidSync(item.uuid) : null;
+    add(doc);
+    if (doc instanceof JournalEntry) doc.pages.forEach(add);
+  }
+
+  if (mode === 'world') {
+    for (const name of WORLD_COLLECTIONS) {
+      game[name]?.forEach(add);
+    }
+  }
+
+  if (!documents.size) return "";
+
+  const [example] = documents.values();
+  const lines = [...documents.values()].map(doc => {
+    const parent = doc.parent ? ` in ${doc.parent.name}` : "";
+    return `- ${doc.documentName} "${doc.name}"${parent}: @UUID[${doc.uuid}]`;
+  });
+
+  return `## DOCUMENT LINKS
+
+When you mention one of these documents, link it by writing @UUID[uuid]{label}, e.g. @UUID[${example.uuid}]{${example.name}}. Only link documents from this list; never invent a UUID. You can also offer dice rolls the user can click by writing [[/r formula]], e.g. [[/r 2d6+3]].
+
+${lines.join('\n')}`;
+}
@@ -0,0 +1,255 @@
+/**
+ * Error classification for the Divination module
+ *
+ * Failed requests are reported as a DivinationError with a kind, so the retry loop knows
+ * which failures are worth retrying and the chat can explain what went wrong.
+ */
+
+/**
+ * The kinds of request failure
+ * @enum {string}
+ */
+export const ERROR_KINDS = {
+  AUTH: 'auth',
+  RATE_LIMIT: 'rate-limit',
+  BAD_PAYLOAD: 'bad-payload',
+  SERVER: 'server',
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  EMPTY_RESPONSE: 'empty-response',
+  INVALID_OUTPUT: 'invalid-output',
+  CANCELLED: 'cancelled',
+  RELAY: 'relay',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Kinds that may succeed when the same request is sent again
+ * @type {Set<string>}
+ */
+const RETRYABLE_KINDS = new Set([
+  ERROR_KINDS.RATE_LIMIT,
+  ERROR_KINDS.SERVER,
+  ERROR_KINDS.NETWORK
+]);
+
+/**
+ * Human-readable descriptions for each kind
+ * @type {Object<string, {title: string, hint: string, icon: string}>}
+ */
+const DESCRIPTIONS = {
+  [ERROR_KINDS.AUTH]: {
+    title: "Authentication failed",
+    hint: "The API rejected the API key. Check the API Key setting (or the GM API Key in relay mode) and the selected provider.",
+    icon: 'fa-key'
+  },
+  [ERROR_KINDS.RATE_LIMIT]: {
+    title: "Rate limited",
+    hint: "The API is receiving too many requests or your quota is exhausted. Wait a moment and try again.",
+    icon: 'fa-hourglass-half'
+  },
+  [ERROR_KINDS.BAD_PAYLOAD]: {
+    title: "Request rejected",
+    hint: "The API did not accept the request. Check the API URL, model name and, for the Generic provider, the Payload JSON template.",
+    icon: 'fa-file-code'
+  },
+  [ERROR_KINDS.SERVER]: {
+    title: "Server error",
+    hint: "The API had a problem handling the request. It may be overloaded or down; try again later.",
+    icon: 'fa-server'
+  },
+  [ERROR_KINDS.NETWORK]: {
+    title: "Network error",
+    hint: "The API could not be reached. Check the API URL, that the server is running, and that it allows requests from this browser (CORS).",
+    icon: 'fa-plug'
+  },
+  [ERROR_KINDS.TIMEOUT]: {
+    title: "Request timed out",
+    hint: "The API did not answer in time. Increase the Request Timeout setting for slow models.",
+    icon: 'fa-clock'
+  },
+  [ERROR_KINDS.EMPTY_RESPONSE]: {
+    title: "Empty response",
+    hint: "The API answered, but no text was found where it was expected. For the Generic provider, check the Response JSON Path setting.",
+    icon: 'fa-question'
+  },
+  [ERROR_KINDS.INVALID_OUTPUT]: {
+    title: "Unusable response",
+    hint: "The AI did not answer in the expected format, even after being asked to fix it. Try again, or use a more capable model.",
+    icon: 'fa-code'
+  },
+  [ERROR_KINDS.CANCELLED]: {
+    title: "Request cancelled",
+    hint: "",
+    icon: 'fa-ban'
+  },
+  [ERROR_KINDS.RELAY]: {
+    title: "Relay failed",
+    hint: "The request could not be relayed through a GM.",
+    icon: 'fa-tower-broadcast'
+  },
+  [ERROR_KINDS.UNKNOWN]: {
+    title: "Something went wrong",
+    hint: "See the browser console for details.",
+    icon: 'fa-triangle-exclamation'
+  }
+};
+
+/**
+ * An error raised while talking to the LLM service
+ */
+export class DivinationError extends Error {
+  /**
+   * Create a new DivinationError
+   * @param {string} kind - One of ERROR_KINDS
+   * @param {string} message - The error message
+   * @param {Object} [options] - Additional details
+   * @param {number} [options.status] - The HTTP status code
+   * @param {string} [options.body] - The provider's error body
+   * @param {number} [options.retryAfter] - Seconds the provider asked us to wait
+   */
+  constructor(kind, message, { status = null, body = "", retryAfter = null } = {}) {
+    super(message);
+    this.name = kind === ERROR_KINDS.CANCELLED ? 'AbortError' : 'DivinationError';
+    this.kind = kind;
+    this.status = status;
+    this.body = body;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Whether sending the same request again may succeed
+   * @type {boolean}
+   */
+  get retryable() {
+    return RETRYABLE_KINDS.has(this.kind);
+  }
+
+  /**
+   * Serialize the error so it can be sent over the socket
+   * @returns {Object} - The serialized error
+   */
+  toJSON() {
+    return {
+      kind: this.kind,
+      message: this.message,
+      status: this.status,
+      body: this.body,
+      retryAfter: this.retryAfter
+    };
+  }
+
+  /**
+   * Restore an error serialized with toJSON
+   * @param {Object|string} data - The serialized error, or a plain message
+   * @returns {DivinationError} - The error
+   */
+  static fromJSON(data) {
+    if (typeof data === 'string') return new DivinationError(ERROR_KINDS.UNKNOWN, data);
+    return new DivinationError(data.kind || ERROR_KINDS.UNKNOWN, data.message, data);
+  }
+}
+
+/**
+ * Maximum length of a provider error body kept on an error
+ * @type {number}
+ */
+const MAX_BODY_LENGTH = 2000;
+
+/**
+ * Classify an HTTP status code
+ * @param {number} status - The status code
+ * @returns {string} - One of ERROR_KINDS
+ */
+export function kindFromStatus(status) {
+  if (status === 401 || status === 403) return ERROR_KINDS.AUTH;
+  if (status === 429) return ERROR_KINDS.RATE_LIMIT;
+  if (status === 408) return ERROR_KINDS.NETWORK;
+  if (status >= 500) return ERROR_KINDS.SERVER;
+  if (status >= 400) return ERROR_KINDS.BAD_PAYLOAD;
+  return ERROR_KINDS.UNKNOWN;
+}
+
+/**
+ * Build an error from a failed HTTP response, including the provider's error body
+ * @param {Response} fetchResponse - The response with a non-2xx status
+ * @returns {Promise<DivinationError>} - The classified error
+ */
+export async function errorFromResponse(fetchResponse) {
+  let body = "";
+  try {
+    body = (await fetchResponse.text()).substring(0, MAX_BODY_LENGTH);
+  } catch (error) {
+    // The body is only informative; the status is enough to classify the error
+  }
+  
+  const detail = extractErrorMessage(body);
+  const message = `HTTP error ${fetchResponse.status}${detail ? `: ${detail}` : ''}`;
+  
+  return new DivinationError(kindFromStatus(fetchResponse.status), message, {
+    status: fetchResponse.status,
+    body: body,
+    retryAfter: parseRetryAfter(fetchResponse.headers.get('retry-after'))
+  });
+}
+
+/**
+ * Classify an exception thrown while making a request
+ * @param {Error} error - The exception
+ * @returns {DivinationError} - The classified error
+ */
+export function errorFromException(error) {
+  if (error instanceof DivinationError) return error;
+  if (error?.name === 'AbortError') {
+    return new DivinationError(ERROR_KINDS.CANCELLED, "The request was cancelled.");
+  }
+  // fetch rejects with a TypeError when the server can't be reached or CORS blocks the request
+  if (error instanceof TypeError) {
+    return new DivinationError(ERROR_KINDS.NETWORK, error.message);
+  }
+  return new DivinationError(ERROR_KINDS.UNKNOWN, error?.message || String(error));
+}
+
+/**
+ * Get a human-readable description of an error
+ * @param {Error} error - The error
+ * @returns {{title: string, hint: string, icon: string}} - The description
+ */
+export function describeError(error) {
+  const kind = error instanceof DivinationError ? error.kind : ERROR_KINDS.UNKNOWN;
+  return DESCRIPTIONS[kind] || DESCRIPTIONS[ERROR_KINDS.UNKNOWN];
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - The header value, in seconds or as an HTTP date
+ * @returns {number|null} - The number of seconds to wait, or null if absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, (date - Date.now()) / 1000);
+}
+
+/**
+ * Pull the human-readable message out of a provider error body
+ * @param {string} body - The raw body
+ * @returns {string} - The message, or an empty string
+ * @private
+ */
+function extractErrorMessage(body) {
+  if (!body) return "";
+  try {
+    const data = JSON.parse(body);
+    const message = data?.error?.message || data?.error || data?.message || data?.detail;
+    return typeof message === 'string' ? message : "";
+  } catch (error) {
+    // Not JSON; only short plain-text bodies make a useful message
+    return body.length <= 200 ? body.trim() : "";
+  }
+}
@@ -0,0 +1,253 @@
+import { escapeHtml } from './utils.js';
+import { sanitizeHtml } from './sanitize.js';
+import { createConversation, createMessageEntry, toContextReference } from './storage.js';
+import { MarkdownParser } from './fimlib/main.js';
+
+/**
+ * Conversation export and import for the Divination module
+ *
+ * Conversations can be written to a journal page as HTML, downloaded as a Markdown
+ * transcript, or downloaded as JSON. The JSON keeps everything needed to rebuild the
+ * conversation, including its memory and context item references, and can be imported again.
+ */
+
+/**
+ * Format marker for exported JSON files
+ * @type {string}
+ */
+const EXPORT_FORMAT = 'divination-conversation';
+
+/**
+ * Version of the exported JSON format
+ * @type {number}
+ */
+const EXPORT_VERSION = 1;
+
+/**
+ * Write a conversation to a journal page.
+ * The page is named after the conversation; if the journal already has a page with that
+ * name, the transcript is appended to it.
+ * @param {Object} conversation - The conversation
+ * @param {Object} [options] - Export options
+ * @param {JournalEntry} [options.journal] - The journal to write to; a new one is created if not given
+ * @returns {Promise<JournalEntryPage>} - The page written to
+ */
+export async function exportToJournal(conversation, { journal = null } = {}) {
+  const html = conversationToHtml(conversation);
+
+  if (!journal) {
+    journal = await JournalEntry.create({ name: conversation.name });
+  }
+
+  const existing = journal.pages.getName(conversation.name);
+  if (existing) {
+    await existing.update({ 'text.content': `${existing.text.content || ""}<hr>${html}` });
+    return existing;
+  }
+
+  const [page] = await journal.createEmbeddedDocuments('JournalEntryPage', [{
+    name: conversation.name,
+    type: 'text',
+    text: { content: html, format: CONST.JOURNAL_ENTRY_PAGE_FORMATS.HTML }
+  }]);
+  return page;
+}
+
+/**
+ * Download a conversation as a Markdown transcript
+ * @param {Object} conversation - The conversation
+ */
+export function downloadMarkdown(conversation) {
+  saveDataToFile(conversationToMarkdown(conversation), 'text/markdown', `${toFileName(conversation.name)}.md`);
+}
+
+/**
+ * Download a conversation as JSON that can be imported again
+ * @param {Object} conversation - The conversation
+ */
+export function downloadJson(conversation) {
+  const data = JSON.stringify(conversationToJson(conversation), null, 2);
+  saveDataToFile(data, 'application/json', `${toFileName(conversation.name)}.json`);
+}
+
+/**
+ * Render a conversation as HTML for a journal page. Reasoning is left out.
+ * @param {Object} conversation - The conversation
+ * @returns {string} - The HTML
+ */
+export function conversationToHtml(conversation) {
+  const assistantName = conversation.actor?.name || game.settings.get('divination', 'assistantName');
+  const parts = [`<p><em>Exported from Divination on ${escapeHtml(formatDate(Date.now()))}</em></p>`];
+
+  if (conversation.contextItems?.length) {
+    const items = conversation.contextItems
+      .map(item => `<li>${item.uuid ? `@UUID[${item.uuid}]{${escapeHtml(item.name)}}` : escapeHtml(item.name)}</li>`)
+      .join('');
+    parts.push(`<h2>Context</h2><ul>${items}</ul>`);
+  }
+
+  if (conversation.summary) {
+    parts.push(`<h2>Memory</h2><p>${escapeHtml(conversation.summary).replace(/\n/g, '<br>')}</p>`);
+  }
+
+  parts.push(`<h2>Conversation</h2>`);
+  for (const message of conversation.history) {
+    const sender = message.role === 'user' ? (game.users.get(message.userId) || game.user).name : assistantName;
+    const time = message.timestamp ? ` <small>${escapeHtml(formatDate(message.timestamp))}</small>` : "";
+    const content = message.role === 'user'
+      ? `<p>${escapeHtml(message.content).replace(/\n/g, '<br>')}</p>`
+      : formatAssistantHtml(message.content);
+    parts.push(`<h3>${escapeHtml(sender)}${time}</h3>${content}`);
+  }
+
+  return parts.join('\n');
+}
+
+/**
+ * Render a conversation as a Markdown transcript. Reasoning is left out.
+ * @param {Object} conversation - The conversation
+ * @returns {string} - The Markdown
+ */
+export function conversationToMarkdown(conversation) {
+  const assistantName = conversation.actor?.name || game.settings.get('divination', 'assistantName');
+  const lines = [`# ${conversation.name}`, "", `_Exported from Divination on ${formatDate(Date.now())}_`, ""];
+
+  if (conversation.contextItems?.length) {
+    lines.push("## Context", "");
+    for (const item of conversation.contextItems) {
+      const label = item.type === 'page' ? `Page: ${item.name} (${item.journalName})`
+        : item.type === 'actor' ? `Actor: ${item.name}`
+        : `Journal: ${item.name}`;
+      lines.push(`- ${label}`);
+    }
+    lines.push("");
+  }
+
+  if (conversation.summary) {
+    lines.push("## Memory", "", conversation.summary, "");
+  }
+
+  lines.push("## Conversation", "");
+  for (const message of conversation.history) {
+    const sender = message.role === 'user' ? (game.users.get(message.userId) || game.user).name : assistantName;
+    const time = message.timestamp ? ` (${formatDate(message.timestamp)})` : "";
+    lines.push(`**${sender}**${time}:`, "", message.content, "");
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build the JSON export of a conversation
+ * @param {Object} conversation - The conversation
+ * @returns {Object} - The export data
+ */
+export function conversationToJson(conversation) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported: Date.now(),
+    conversation: {
+      name: conversation.name,
+      created: conversation.created,
+      history: conversation.history.map(message => ({
+        id: message.id,
+        role: message.role,
+        content: message.content,
+        reasoning: message.reasoning || "",
+        timestamp: message.timestamp || null
+      })),
+      contextItems: (conversation.contextItems || []).map(toContextReference),
+      summary: conversation.summary || "",
+      summarizedCount: conversation.summarizedCount || 0,
+      systemPrompt: conversation.systemPrompt ?? null,
+      profile: conversation.profile || null,
+      actor: conversation.actor || null
+    }
+  };
+}
+
+/**
+ * Rebuild a conversation from exported JSON. The conversation gets a new id.
+ * @param {string} text - The JSON text
+ * @returns {Object} - The conversation, ready to be stored
+ * @throws {Error} - If the text is not a Divination conversation export
+ */
+export function parseConversationJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON: ${error.message}`);
+  }
+
+  if (data?.format !== EXPORT_FORMAT || !data.conversation) {
+    throw new Error("The file is not a Divination conversation export.");
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error("The file was exported by a newer version of Divination.");
+  }
+
+  const source = data.conversation;
+  if (!Array.isArray(source.history)) {
+    throw new Error("The conversation has no message history.");
+  }
+
+  const history = source.history
+    .filter(message => ['user', 'assistant'].includes(message?.role) && typeof message.content === 'string')
+    .map(message => ({
+      ...createMessageEntry(message.role, message.content, { reasoning: String(message.reasoning || "") }),
+      ...(message.id ? { id: String(message.id) } : {}),
+      ...(message.timestamp ? { timestamp: Number(message.timestamp) } : {})
+    }));
+
+  const conversation = createConversation(String(source.name || "Imported Conversation"), { history });
+  conversation.contextItems = (Array.isArray(source.contextItems) ? source.contextItems : [])
+    .filter(item => item?.uuid && ['journal', 'page', 'actor'].includes(item.type))
+    .map(toContextReference);
+  conversation.summary = String(source.summary || "");
+  conversation.summarizedCount = Math.min(Number(source.summarizedCount) || 0, history.length);
+  conversation.systemPrompt = typeof source.systemPrompt === 'string' ? source.systemPrompt : null;
+  conversation.profile = typeof source.profile === 'string' && source.profile ? source.profile : null;
+  conversation.actor = source.actor?.uuid
+    ? { uuid: String(source.actor.uuid), name: String(source.actor.name || ""), img: String(source.actor.img || "") }
+    : null;
+
+  return conversation;
+}
+
+/**
+ * Format an assistant message as HTML, the same way the chat shows it.
+ * Imported conversations can carry any text, so the HTML is sanitized like in the chat.
+ * @param {string} content - The message text
+ * @returns {string} - The HTML
+ * @private
+ */
+function formatAssistantHtml(content) {
+  if (/<\/?[a-z][\s\S]*>/i.test(content)) return sanitizeHtml(content);
+  try {
+    return sanitizeHtml(MarkdownParser.parse(content));
+  } catch (error) {
+    return `<p>${escapeHtml(content)}</p>`;
+  }
+}
+
+/**
+ * Format a time for transcripts
+ * @param {number} time - The time in milliseconds
+ * @returns {string} - The formatted date and time
+ * @private
+ */
+function formatDate(time) {
+  return new Date(time).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Make a conversation name safe to use as a file name
+ * @param {string} name - The conversation name
+ * @returns {string} - The file name, without extension
+ * @private
+ */
+function toFileName(name) {
+  return (name || 'conversation').replace(/[\\/:*?"<>|]+/g, '').trim() || 'conversation';
+}
@@ -0,0 +1,176 @@
+import { DivinationChat } from './chat.js';
+import { hasPermission } from './settings.js';
+import { listConversations } from './storage.js';
+import { createActorContext } from './context.js';
+
+/**
+ * Keybindings for the Divination module
+ *
+ * The bindings act on the main chat window and can be changed under Configure Controls.
+ * Sending the selected token and regenerating the last reply have no default keys.
+ */
+
+/**
+ * Register the module's keybindings. Must be called during the init hook.
+ */
+export function registerKeybindings() {
+  const { ALT, SHIFT } = KeyboardManager.MODIFIER_KEYS;
+
+  game.keybindings.register('divination', 'toggleChat', {
+    name: "Toggle Chat Window",
+    hint: "Open the Divination chat, or close it if it is open.",
+    editable: [{ key: 'KeyD', modifiers: [ALT, SHIFT] }],
+    onDown: () => toggleChat()
+  });
+
+  game.keybindings.register('divination', 'focusInput', {
+    name: "Focus Chat Input",
+    hint: "Open the Divination chat and move the cursor to the message input.",
+    editable: [{ key: 'KeyI', modifiers: [ALT, SHIFT] }],
+    onDown: () => focusInput()
+  });
+
+  game.keybindings.register('divination', 'cancelRequest', {
+    name: "Cancel Request",
+    hint: "Stop the reply Divination is generating.",
+    editable: [{ key: 'KeyX', modifiers: [ALT, SHIFT] }],
+    onDown: () => cancelRequest()
+  });
+
+  game.keybindings.register('divination', 'addSelectedContext', {
+    name: "Send Selected Token as Context",
+    hint: "Add the actor of the selected token, or your assigned character if no token is selected, to the chat's context.",
+    editable: [],
+    onDown: () => addSelectedContext()
+  });
+
+  game.keybindings.register('divination', 'regenerateReply', {
+    name: "Regenerate Last Reply",
+    hint: "Generate a new reply to your last message, keeping the old reply as a branch.",
+    editable: [],
+    onDown: () => regenerateLastReply()
+  });
+
+  game.keybindings.register('divination', 'nextConversation', {
+    name: "Next Conversation",
+    hint: "Switch the chat to the next conversation.",
+    editable: [{ key: 'BracketRight', modifiers: [ALT, SHIFT] }],
+    onDown: () => cycleConversation(1)
+  });
+
+  game.keybindings.register('divination', 'previousConversation', {
+    name: "Previous Conversation",
+    hint: "Switch the chat to the previous conversation.",
+    editable: [{ key: 'BracketLeft', modifiers: [ALT, SHIFT] }],
+    onDown: () => cycleConversation(-1)
+  });
+}
+
+/**
+ * Get the main chat if its window is open
+ * @returns {DivinationChat|null} - The chat
+ * @private
+ */
+function getOpenChat() {
+  const chat = DivinationChat.instances.get('default');
+  return chat?.chatWindow?.element?.is(":visible") ? chat : null;
+}
+
+/**
+ * Open the main chat, or close it if it is open
+ * @returns {boolean} - Whether the key was handled
+ * @private
+ */
+function toggleChat() {
+  if (!hasPermission(game.user)) return false;
+
+  const chat = getOpenChat();
+  if (chat) chat.close();
+  else DivinationChat.openChat();
+  return true;
+}
+
+/**
+ * Open the main chat and focus its message input
+ * @returns {boolean} - Whether the key was handled
+ * @private
+ */
+function focusInput() {
+  const chat = hasPermission(game.user) && DivinationChat.openChat();
+  if (!chat) return false;
+
+  // The window may still be rendering
+  setTimeout(() => $(chat.chatWindow.element).find('textarea.chat-input').focus(), 100);
+  return true;
+}
+
+/**
+ * Cancel the request of any chat that is generating a reply
+ * @returns {boolean} - Whether a request was cancelled
+ * @private
+ */
+function cancelRequest() {
+  let cancelled = false;
+  for (const chat of DivinationChat.instances.values()) {
+    if (chat.cancelRequest()) cancelled = true;
+  }
+  return cancelled;
+}
+
+/**
+ * Add the selected token's actor, or the user's character, to the main chat's context
+ * @returns {boolean} - Whether the key was handled
+ * @private
+ */
+function addSelectedContext() {
+  if (!hasPermission(game.user)) return false;
+
+  const actor = canvas.tokens?.controlled[0]?.actor || game.user.character;
+  if (!actor) {
+    ui.notifications.warn("Select a token, or have a character assigned, first.");
+    return true;
+  }
+
+  const chat = DivinationChat.openChat();
+  if (chat) createActorContext(actor).then(item => chat.addContext(item));
+  return true;
+}
+
+/**
+ * Regenerate the last reply in the main chat
+ * @returns {boolean} - Whether the key was handled
+ * @private
+ */
+function regenerateLastReply() {
+  const chat = getOpenChat();
+  if (!chat) return false;
+
+  const position = chat.history.length - 1;
+  if (chat.processing) return true;
+  if (chat.history[position]?.role !== 'assistant') {
+    ui.notifications.warn("There is no reply to regenerate.");
+    return true;
+  }
+
+  chat.regenerateReply(position);
+  return true;
+}
+
+/**
+ * Switch the main chat to the next or previous conversation, in the order of its tabs
+ * @param {number} step - 1 for the next conversation, -1 for the previous one
+ * @returns {boolean} - Whether the key was handled
+ * @private
+ */
+function cycleConversation(step) {
+  const chat = getOpenChat();
+  if (!chat) return false;
+
+  const conversations = listConversations();
+  if (conversations.length < 2) return true;
+
+  const index = conversations.findIndex(conversation => conversation.id === chat.conversationId);
+  const next = conversations[(index + step + conversations.length) % conversations.length];
+  chat.switchConversation(next.id);
+  return true;
+}
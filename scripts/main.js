@@ -1,7 +1,17 @@
 import { registerSettings, hasPermission } from './settings.js';
 import { DivinationChat } from './chat.js';
-import { log } from './utils.js';
-import { ChatModal, TabManager, registerGlobals } from './fimlib/main.js';
+import { log, escapeHtml } from './utils.js';
+import { initSocket } from './socket.js';
+import { initRelay, secureApiKey } from './relay.js';
+import { initSessions } from './session.js';
+import { createJournalContext, createPageContext } from './context.js';
+import { PromptLibrary } from './prompt-library.js';
+import { ActorGenerator, canGenerateActors } from './actor-generator.js';
+import { registerActorSchema } from './actor-schemas.js';
+import { TableGenerator, canGenerateTables } from './table-generator.js';
+import { registerDefaultCommands, registerCommand, unregisterCommand } from './commands.js';
+import { registerKeybindings } from './keybindings.js';
+import { ChatModal, registerGlobals } from './fimlib/main.js';
 
 // Global variable to store our extended ChatModal class
 let DivinationChatModal = null;
@@ -25,12 +35,18 @@ Hooks.once('init', async () => {
             return;
         }
         
-        // Register module settings
+        // Register module settings and keybindings
         registerSettings();
+        registerKeybindings();
         
         // Register FIMLib components under the Divination namespace
         registerGlobals('Divination');
         
+        // Slash commands and NPC generator formats, which other modules can add to from their own init or ready hooks
+        registerDefaultCommands();
+        window.Divination = window.Divination || {};
+        Object.assign(window.Divination, { registerCommand, unregisterCommand, registerActorSchema });
+        
         // Extend the ChatModal class with our own version that has the correct template path
         DivinationChatModal = class extends ChatModal {
             static get defaultOptions() {
@@ -38,6 +54,43 @@ Hooks.once('init', async () => {
                 options.template = "modules/divination/scripts/fimlib/templates/chat-modal.html";
                 return options;
             }
+            
+            _getHeaderButtons() {
+                const buttons = super._getHeaderButtons();
+                
+                // Set by the DivinationChat that owns this window.
+                // A shared session hosted by someone else can't be changed here.
+                if (this.divinationChat && !this.divinationChat.remote) {
+                    buttons.unshift({
+                        label: "Clear",
+                        class: "divination-clear",
+                        icon: "fas fa-trash",
+                        onclick: () => this.divinationChat.confirmClear()
+                    });
+                    buttons.unshift({
+                        label: "Prompts",
+                        class: "divination-prompts",
+                        icon: "fas fa-book-open",
+                        onclick: () => new PromptLibrary(this.divinationChat).render(true)
+                    });
+                    buttons.unshift({
+                        label: "Export",
+                        class: "divination-export",
+                        icon: "fas fa-file-export",
+                        onclick: () => this.divinationChat.exportConversation(this.divinationChat.conversationId)
+                    });
+                    if (game.user.isGM) {
+                        buttons.unshift({
+                            label: "Share",
+                            class: "divination-session",
+                            icon: "fas fa-users",
+                            onclick: () => this.divinationChat.openSessionDialog()
+                        });
+                    }
+                }
+                
+                return buttons;
+            }
         };
         
         // Replace the original ChatModal with our extended version
@@ -67,6 +120,14 @@ Hooks.once('ready', async () => {
             console.error("Divination | Failed to initialize chat", chatError);
         }
         
+        // Listen for socket messages, including relayed requests
+        initSocket();
+        initRelay();
+        initSessions(DivinationChat);
+        
+        // In relay mode, make sure the API key isn't left where players can read it
+        await secureApiKey();
+        
         // Create global reference for API consumption
         window.Divination = window.Divination || {};
         Object.assign(window.Divination, {
@@ -112,16 +173,8 @@ Hooks.on('renderJournalSheet', (app, html, data) => {
         const chat = DivinationChat.openChat();
         if (!chat) return;
         
-        // Extract content from all pages
-        const journalContext = {
-            type: 'journal',
-            id: journal.id,
-            name: journal.name,
-            content: await getJournalContent(journal, 'all')
-        };
-        
-        // Add context to the chat
-        chat.addContext(journalContext);
+        // Extract content from all pages and add it to the chat
+        chat.addContext(await createJournalContext(journal));
     });
     
     // Find the header-search flexrow div
@@ -195,17 +248,8 @@ Hooks.on('renderJournalSheet', (app, html, data) => {
                         return;
                     }
                     
-                    // Extract content from the page
-                    const pageContext = {
-                        type: 'page',
-                        id: page.id,
-                        name: page.name,
-                        journalName: journal.name,
-                        content: await getJournalContent(journal, pageId)
-                    };
-                    
-                    // Add context to the chat
-                    chat.addContext(pageContext);
+                    // Extract content from the page and add it to the chat
+                    chat.addContext(await createPageContext(page));
                     
                     // Show success notification
                 } catch (error) {
@@ -317,17 +361,8 @@ Hooks.on('renderJournalSheet', (app, html, data) => {
                     return;
                 }
                 
-                // Extract content from the page
-                const pageContext = {
-                    type: 'page',
-                    id: page.id,
-                    name: page.name,
-                    journalName: journal.name,
-                    content: await getJournalContent(journal, pageId)
-                };
-                
-                // Add context to the chat
-                chat.addContext(pageContext);
+                // Extract content from the page and add it to the chat
+                chat.addContext(await createPageContext(page));
                 
             } catch (error) {
                 console.error("Divination | Error adding page context:", error);
@@ -376,17 +411,8 @@ Hooks.on('renderJournalSheet', (app, html, data) => {
                         return;
                     }
                     
-                    // Extract content from the page
-                    const pageContext = {
-                        type: 'page',
-                        id: page.id,
-                        name: page.name,
-                        journalName: journal.name,
-                        content: await getJournalContent(journal, pageId)
-                    };
-                    
-                    // Add context to the chat
-                    chat.addContext(pageContext);
+                    // Extract content from the page and add it to the chat
+                    chat.addContext(await createPageContext(page));
                     
                 } catch (error) {
                     console.error("Divination | Error adding page context:", error);
@@ -406,68 +432,6 @@ Hooks.on('renderJournalSheet', (app, html, data) => {
 
 });
 
-/**
- * Extract content from a journal or specific page
- * @param {JournalEntry} journal - The journal entry
- * @param {string} pageId - The page ID or 'all' for all pages
- * @returns {string} - The extracted content
- */
-async function getJournalContent(journal, pageId) {
-    try {
-        if (pageId === 'all') {
-            // Extract content from all pages
-            const allContent = [];
-            for (const page of journal.pages) {
-                const content = await extractPageContent(page);
-                if (content) {
-                    allContent.push(`## ${page.name}\n\n${content}`);
-                }
-            }
-            return allContent.join('\n\n');
-        } else {
-            // Extract content from specific page
-            const page = journal.pages.get(pageId);
-            if (!page) return '';
-            return await extractPageContent(page);
-        }
-    } catch (error) {
-        console.error("Divination | Error extracting journal content", error);
-        return '';
-    }
-}
-
-/**
- * Extract content from a journal page
- * @param {JournalEntryPage} page - The journal page
- * @returns {string} - The extracted content
- */
-async function extractPageContent(page) {
-    try {
-        if (page.text && page.text.content) {
-            // Handle text content
-            let content = page.text.content;
-            
-            // Remove HTML tags and convert to plain text
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = content;
-            content = tempDiv.textContent || tempDiv.innerText || '';
-            
-            return content.trim();
-        } else if (page.type === 'image') {
-            // For image pages, just return the caption or a placeholder
-            return page.image?.caption || `[Image: ${page.name}]`;
-        } else if (page.type === 'pdf') {
-            // For PDF pages, just return a placeholder
-            return `[PDF Document: ${page.name}]`;
-        }
-        
-        return '';
-    } catch (error) {
-        console.error("Divination | Error extracting page content", error);
-        return '';
-    }
-}
-
 /**
  * Adds a Divination button to the chat controls
  */
@@ -499,6 +463,102 @@ Hooks.on('renderChatLog', (app, html, data) => {
     controlButtons.prepend(divinationButton);
 });
 
+/**
+ * Lets GMs talk to an actor in Divination, from the actor directory
+ */
+Hooks.on('getActorDirectoryEntryContext', (html, options) => {
+    options.push({
+        name: "Talk in Divination",
+        icon: '<i class="fas fa-crystal-ball"></i>',
+        condition: () => game.user.isGM && checkRequiredSettings(),
+        callback: (li) => {
+            const actor = game.actors.get(li.data('documentId'));
+            if (actor) openAsActor(actor);
+        }
+    });
+});
+
+/**
+ * Adds a Generate NPC button to the actor directory
+ */
+Hooks.on('renderActorDirectory', (app, html, data) => {
+    if (!hasPermission(game.user) || !canGenerateActors() || !checkRequiredSettings()) return;
+    
+    const button = $(`
+        <button type="button" class="divination-generate-npc">
+            <i class="fas fa-crystal-ball"></i> Generate NPC
+        </button>
+    `);
+    button.click(ev => {
+        ev.preventDefault();
+        ActorGenerator.open();
+    });
+    html.find('.header-actions').append(button);
+});
+
+/**
+ * Adds a Generate Table button to the roll table directory
+ */
+Hooks.on('renderRollTableDirectory', (app, html, data) => {
+    if (!hasPermission(game.user) || !canGenerateTables() || !checkRequiredSettings()) return;
+    
+    const button = $(`
+        <button type="button" class="divination-generate-table">
+            <i class="fas fa-crystal-ball"></i> Generate Table
+        </button>
+    `);
+    button.click(ev => {
+        ev.preventDefault();
+        TableGenerator.open();
+    });
+    html.find('.header-actions').append(button);
+});
+
+/**
+ * Lets GMs talk to an actor in Divination, from the actor sheet
+ */
+Hooks.on('getActorSheetHeaderButtons', (app, buttons) => {
+    if (!game.user.isGM || !checkRequiredSettings()) return;
+    
+    buttons.unshift({
+        label: "Divination",
+        class: "divination-actor",
+        icon: "fas fa-crystal-ball",
+        onclick: () => openAsActor(app.actor)
+    });
+});
+
+/**
+ * Opens the Divination chat on a conversation held as an actor
+ * @param {Actor} actor - The actor the assistant speaks as
+ */
+async function openAsActor(actor) {
+    const chat = DivinationChat.openChat();
+    if (chat) await chat.openAsActor(actor);
+}
+
+/**
+ * Links replies shared from Divination back to their conversation.
+ * Conversations are stored per user, so only the user who shared the reply gets the link.
+ */
+Hooks.on('renderChatMessage', (message, html, data) => {
+    const source = message.getFlag('divination', 'source');
+    if (!source?.conversationId || !message.isAuthor || !hasPermission(game.user)) return;
+    
+    const link = $(`
+        <a class="divination-shared-source" data-tooltip="Open ${escapeHtml(source.conversationName || 'conversation')} in Divination">
+            <i class="fas fa-crystal-ball"></i>
+        </a>
+    `);
+    link.click(async ev => {
+        ev.preventDefault();
+        const chat = DivinationChat.openChat();
+        if (chat) await chat.switchConversation(source.conversationId);
+    });
+    
+    html.find('.message-metadata').append(link);
+});
+
 /**
  * Adds Divination button to the sidebar menu
  */
@@ -555,6 +615,12 @@ Hooks.on('getSceneControlButtons', (controls) => {
  * Listen for individual setting changes and update buttons immediately
  */
 Hooks.on('updateSetting', (setting) => {
+    // Saving prompts doesn't change how Divination is configured
+    if (setting.key === 'divination.promptLibrary') {
+        PromptLibrary.refresh();
+        return;
+    }
+    
     if (setting.key.startsWith('divination.')) {
         log({message: `Divination setting updated: ${setting.key}`, type: ["debug"]});
         updateDivinationUI();
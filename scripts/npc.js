@@ -0,0 +1,151 @@
+import { summarizeMessages } from './summary.js';
+
+/**
+ * NPC roleplay for the Divination module
+ *
+ * A conversation can be held "as" an Actor. The actor's name and image replace the assistant's,
+ * and a persona system prompt built from its biography replaces the System Prompt setting.
+ * What the NPC remembers of earlier conversations with the party is kept in the actor's
+ * flags (flags.divination.npcMemory), so it carries over between sessions and conversations.
+ */
+
+/**
+ * Flag key holding the NPC's roleplay memory
+ * @type {string}
+ */
+const MEMORY_FLAG = 'npcMemory';
+
+/**
+ * Where game systems keep an actor's biography, most common first
+ * @type {Array<string>}
+ */
+export const BIOGRAPHY_PATHS = [
+  'system.details.biography.value',
+  'system.details.biography.public',
+  'system.biography.value',
+  'system.biography',
+  'system.details.biography',
+  'system.description.value',
+  'system.description',
+  'system.details.notes.value',
+  'system.notes'
+];
+
+/**
+ * Instructions for folding a conversation into an NPC's memory
+ * @type {string}
+ */
+export const NPC_MEMORY_PROMPT = "You maintain the memory of a non-player character in a tabletop roleplaying game. Update the character's existing memory with the new conversation, in which the character (the assistant) talked with the players (the user). Write from the character's point of view, in the third person. Keep who they met, what was said, promised, asked or revealed, and how the character feels about it, and drop small talk. Write concise notes in plain text. Reply with the updated memory only.";
+
+/**
+ * Reduce an actor to the persona stored with a conversation
+ * @param {Actor} actor - The actor
+ * @returns {Object} - The persona ({ uuid, name, img })
+ */
+export function toPersona(actor) {
+  return {
+    uuid: actor.uuid,
+    name: actor.name,
+    img: actor.img
+  };
+}
+
+/**
+ * Get the actor behind a persona
+ * @param {Object} persona - The persona stored with a conversation
+ * @returns {Promise<Actor|null>} - The actor, or null if it no longer exists
+ */
+export async function resolvePersonaActor(persona) {
+  if (!persona?.uuid) return null;
+  const actor = await fromUuid(persona.uuid);
+  return actor instanceof Actor ? actor : null;
+}
+
+/**
+ * Read an actor's biography as plain text, wherever its game system keeps it
+ * @param {Actor} actor - The actor
+ * @returns {string} - The biography, or an empty string if there is none
+ */
+export function getActorBiography(actor) {
+  for (const path of BIOGRAPHY_PATHS) {
+    const value = foundry.utils.getProperty(actor, path);
+    if (typeof value !== 'string' || !value.trim()) continue;
+
+    const div = document.createElement('div');
+    div.innerHTML = value;
+    const text = (div.textContent || "").trim();
+    if (text) return text;
+  }
+  return "";
+}
+
+/**
+ * Get what an NPC remembers of earlier conversations
+ * @param {Actor} actor - The actor
+ * @returns {string} - The memory
+ */
+export function getNpcMemory(actor) {
+  return actor.getFlag('divination', MEMORY_FLAG) || "";
+}
+
+/**
+ * Replace what an NPC remembers of earlier conversations
+ * @param {Actor} actor - The actor
+ * @param {string} memory - The memory; empty to forget everything
+ * @returns {Promise<void>}
+ */
+export async function setNpcMemory(actor, memory) {
+  if (memory) {
+    await actor.setFlag('divination', MEMORY_FLAG, memory);
+  } else {
+    await actor.unsetFlag('divination', MEMORY_FLAG);
+  }
+}
+
+/**
+ * Fold a conversation into an NPC's memory
+ * @param {Actor} actor - The actor
+ * @param {Array<Object>} messages - The conversation messages, oldest first
+ * @returns {Promise<string>} - The updated memory
+ */
+export async function rememberConversation(actor, messages) {
+  const memory = await summarizeMessages({
+    summary: getNpcMemory(actor),
+    messages: messages,
+    prompt: NPC_MEMORY_PROMPT
+  });
+  await setNpcMemory(actor, memory);
+  return memory;
+}
+
+/**
+ * Build the persona system prompt for an actor
+ * @param {Actor} actor - The actor
+ * @returns {string} - The system prompt
+ */
+export function buildPersonaPrompt(actor) {
+  const name = actor.name;
+  let prompt = `You are ${name}, a character in a tabletop roleplaying game played with ${game.system.title}. The user is one of the players, or the game master speaking for the party. Stay in character: speak as ${name} would, in the first person, and only know what ${name} would know. Keep replies short enough to be read aloud at the table, and describe actions or gestures in italics.`;
+
+  const biography = getActorBiography(actor);
+  if (biography) {
+    prompt += `
+
+## BIOGRAPHY
+
+${biography}`;
+  }
+
+  const memory = getNpcMemory(actor);
+  if (memory) {
+    prompt += `
+
+## MEMORY
+
+What ${name} remembers from earlier conversations with the party:
+
+${memory}`;
+  }
+
+  return prompt;
+}
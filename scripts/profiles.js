@@ -0,0 +1,60 @@
+import { log } from './utils.js';
+
+/**
+ * Model profiles for the Divination module
+ *
+ * A profile is a named set of request settings ({ name, model, maxTokens, temperature }) the GM
+ * lists in the Model Profiles setting. A conversation switches to a profile with /model; the
+ * fields a profile leaves out come from the Model, Max Response Tokens and Temperature settings.
+ */
+
+/**
+ * Read the profiles from the Model Profiles setting, skipping entries without a name
+ * @returns {Array<Object>} - The profiles ({ name, model, maxTokens, temperature }), with null for fields left out
+ */
+export function getModelProfiles() {
+  let profiles;
+  try {
+    profiles = JSON.parse(game.settings.get('divination', 'modelProfiles') || "[]");
+  } catch (error) {
+    log({message: "The Model Profiles setting is not valid JSON", error: error, type: ["warn"]});
+    return [];
+  }
+  if (!Array.isArray(profiles)) return [];
+
+  return profiles
+    .filter(profile => typeof profile?.name === 'string' && profile.name.trim())
+    .map(profile => ({
+      name: profile.name.trim(),
+      model: typeof profile.model === 'string' ? profile.model : null,
+      maxTokens: Number.isFinite(profile.maxTokens) ? profile.maxTokens : null,
+      temperature: Number.isFinite(profile.temperature) ? profile.temperature : null
+    }));
+}
+
+/**
+ * Find a profile by name, ignoring case
+ * @param {string|null} name - The profile name
+ * @returns {Object|null} - The profile, or null if there is none with that name
+ */
+export function getModelProfile(name) {
+  if (!name) return null;
+  const lower = name.trim().toLowerCase();
+  return getModelProfiles().find(profile => profile.name.toLowerCase() === lower) || null;
+}
+
+/**
+ * Get the request settings a profile stands for
+ * @param {string|null} name - The profile name, or null for the settings alone
+ * @returns {Object} - { profile, model, maxTokens, temperature }, where profile is the name of the
+ *   profile used, or null if there is no profile with that name
+ */
+export function resolveModelSettings(name) {
+  const profile = getModelProfile(name);
+  return {
+    profile: profile?.name || null,
+    model: profile?.model ?? game.settings.get('divination', 'model'),
+    maxTokens: profile?.maxTokens ?? game.settings.get('divination', 'maxTokens'),
+    temperature: profile?.temperature ?? game.settings.get('divination', 'temperature')
+  };
+}
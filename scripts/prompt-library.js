@@ -0,0 +1,251 @@
+import { escapeHtml } from './utils.js';
+import { toContextReference } from './storage.js';
+import {
+  canEditPrompts,
+  getPrompts,
+  getPrompt,
+  createPrompt,
+  savePrompt,
+  deletePrompt,
+  getPromptVariables,
+  usePrompt
+} from './prompts.js';
+
+/**
+ * Prompt library windows for the Divination module
+ *
+ * The library lists the saved prompts and sends them in the chat it was opened from. GMs can
+ * create, edit and delete prompts there; players see the prompts GMs have shared.
+ */
+
+/**
+ * Length of the prompt text shown in the library
+ * @type {number}
+ */
+const EXCERPT_LENGTH = 160;
+
+/**
+ * Browser for the saved prompts
+ */
+export class PromptLibrary extends Application {
+  /**
+   * @param {DivinationChat} chat - The chat prompts are sent in
+   * @param {Object} [options] - Application options
+   */
+  constructor(chat, options = {}) {
+    super(options);
+    this.chat = chat;
+    this.filter = "";
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'divination-prompt-library',
+      title: "Divination: Prompt Library",
+      template: 'modules/divination/templates/prompt-library.hbs',
+      classes: ['divination-prompt-library'],
+      width: 480,
+      height: 560,
+      resizable: true
+    });
+  }
+
+  /**
+   * Re-render every open library, e.g. after the prompts changed
+   */
+  static refresh() {
+    Object.values(ui.windows)
+      .filter(app => app instanceof PromptLibrary)
+      .forEach(app => app.render());
+  }
+
+  /**
+   * List the prompts the user can see
+   * @returns {Object} - The template data
+   */
+  getData() {
+    return {
+      canEdit: canEditPrompts(),
+      filter: this.filter,
+      prompts: getPrompts().map(prompt => ({
+        ...prompt,
+        excerpt: prompt.body.length > EXCERPT_LENGTH ? `${prompt.body.slice(0, EXCERPT_LENGTH)}...` : prompt.body,
+        variables: getPromptVariables(prompt)
+      }))
+    };
+  }
+
+  /**
+   * Activate listeners for the library
+   * @param {jQuery} html - The rendered library
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('input[name="filter"]').on('input', (event) => {
+      this.filter = event.currentTarget.value;
+      this._applyFilter(html);
+    });
+    this._applyFilter(html);
+
+    html.find('.divination-prompt-new').on('click', (event) => {
+      event.preventDefault();
+      new PromptEditor(createPrompt(), { chat: this.chat }).render(true);
+    });
+
+    html.find('.divination-prompt-use').on('click', async (event) => {
+      event.preventDefault();
+      const prompt = getPrompt(event.currentTarget.closest('.divination-prompt').dataset.promptId);
+      if (prompt && await usePrompt(this.chat, prompt)) this.close();
+    });
+
+    html.find('.divination-prompt-edit').on('click', (event) => {
+      event.preventDefault();
+      const prompt = getPrompt(event.currentTarget.closest('.divination-prompt').dataset.promptId);
+      if (prompt) new PromptEditor(prompt, { chat: this.chat }).render(true);
+    });
+
+    html.find('.divination-prompt-delete').on('click', async (event) => {
+      event.preventDefault();
+      const prompt = getPrompt(event.currentTarget.closest('.divination-prompt').dataset.promptId);
+      if (!prompt) return;
+
+      const confirmed = await Dialog.confirm({
+        title: "Delete Prompt",
+        content: `<p>Delete <strong>${escapeHtml(prompt.title)}</strong> from the prompt library?</p>`
+      });
+      if (confirmed) await deletePrompt(prompt.id);
+    });
+  }
+
+  /**
+   * Hide the prompts that don't match the search text
+   * @param {jQuery} html - The rendered library
+   * @private
+   */
+  _applyFilter(html) {
+    const filter = this.filter.trim().toLowerCase();
+    html.find('.divination-prompt').each((i, element) => {
+      const text = element.dataset.search.toLowerCase();
+      $(element).toggle(!filter || text.includes(filter));
+    });
+  }
+}
+
+/**
+ * Form for creating or editing a saved prompt
+ */
+export class PromptEditor extends FormApplication {
+  /**
+   * @param {Object} prompt - The prompt to edit
+   * @param {Object} [options] - Application options
+   * @param {DivinationChat} [options.chat] - The chat whose context items can be attached
+   */
+  constructor(prompt, options = {}) {
+    super(foundry.utils.deepClone(prompt), options);
+    this.chat = options.chat || null;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      title: "Divination: Edit Prompt",
+      template: 'modules/divination/templates/prompt-editor.hbs',
+      classes: ['divination-prompt-editor'],
+      width: 520,
+      height: 'auto',
+      resizable: true,
+      closeOnSubmit: true,
+      submitOnChange: false,
+      dragDrop: [{ dropSelector: '.divination-prompt-context' }]
+    });
+  }
+
+  get id() {
+    return `divination-prompt-editor-${this.object.id}`;
+  }
+
+  /**
+   * @returns {Object} - The template data
+   */
+  getData() {
+    return {
+      prompt: this.object,
+      variables: getPromptVariables(this.object),
+      canAddChatContext: Boolean(this.chat?.contextItems.length)
+    };
+  }
+
+  /**
+   * Activate listeners for the form
+   * @param {jQuery} html - The rendered form
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('.divination-prompt-context-remove').on('click', (event) => {
+      event.preventDefault();
+      const index = Number(event.currentTarget.dataset.index);
+      this._keepFormValues();
+      this.object.contextItems.splice(index, 1);
+      this.render();
+    });
+
+    html.find('.divination-prompt-context-chat').on('click', (event) => {
+      event.preventDefault();
+      this._keepFormValues();
+      for (const item of this.chat?.contextItems || []) {
+        this._addContextReference(item);
+      }
+      this.render();
+    });
+  }
+
+  /**
+   * Attach a dropped journal or journal page
+   * @param {DragEvent} event - The drop event
+   */
+  async _onDrop(event) {
+    const data = TextEditor.getDragEventData(event);
+    if (!['JournalEntry', 'JournalEntryPage'].includes(data.type)) return;
+
+    const doc = await fromUuid(data.uuid);
+    if (!doc) return;
+
+    this._keepFormValues();
+    this._addContextReference({
+      type: data.type === 'JournalEntry' ? 'journal' : 'page',
+      id: doc.id,
+      uuid: doc.uuid,
+      name: doc.name,
+      journalName: doc.parent?.name || ""
+    });
+    this.render();
+  }
+
+  /**
+   * Save the prompt
+   * @param {Event} event - The submit event
+   * @param {Object} formData - The form values
+   */
+  async _updateObject(event, formData) {
+    await savePrompt({ ...this.object, ...formData });
+  }
+
+  /**
+   * Copy the form values into the prompt, so they survive a re-render
+   * @private
+   */
+  _keepFormValues() {
+    if (this.form) Object.assign(this.object, this._getSubmitData());
+  }
+
+  /**
+   * Attach a context item, unless it is already attached
+   * @param {Object} item - The context item or reference
+   * @private
+   */
+  _addContextReference(item) {
+    if (this.object.contextItems.some(existing => existing.uuid === item.uuid)) return;
+    this.object.contextItems.push(toContextReference(item));
+  }
+}
@@ -0,0 +1,201 @@
+import { escapeHtml } from './utils.js';
+import { toContextReference } from './storage.js';
+import { resolveContextItem } from './context.js';
+
+/**
+ * Prompt library for the Divination module
+ *
+ * Saved prompts are stored in the world-level promptLibrary setting, keyed by id, so only GMs
+ * can change them. A prompt holds:
+ * - id, title: The prompt id and the title shown in the library
+ * - body: The message sent to the assistant, with {{variables}} filled in before sending
+ * - systemPrompt: Optional system prompt the conversation switches to when the prompt is used
+ * - contextItems: Optional context item references added to the conversation when the prompt is used
+ * - shared: Whether players can see and use the prompt
+ */
+
+/**
+ * Matches a {{variable}} in a prompt
+ * @type {RegExp}
+ */
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Whether the current user can change the prompt library
+ * @returns {boolean} - Whether the user is a GM
+ */
+export function canEditPrompts() {
+  return game.user.isGM;
+}
+
+/**
+ * List the prompts the current user can see, sorted by title.
+ * Players only see the prompts GMs have shared.
+ * @returns {Array<Object>} - The prompts
+ */
+export function getPrompts() {
+  const library = game.settings.get('divination', 'promptLibrary') || {};
+  return Object.values(library)
+    .filter(prompt => canEditPrompts() || prompt.shared)
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Get a prompt the current user can see
+ * @param {string} id - The prompt id
+ * @returns {Object|null} - The prompt
+ */
+export function getPrompt(id) {
+  return getPrompts().find(prompt => prompt.id === id) || null;
+}
+
+/**
+ * Create a new, empty prompt (not yet saved)
+ * @returns {Object} - The prompt
+ */
+export function createPrompt() {
+  return {
+    id: foundry.utils.randomID(),
+    title: "New Prompt",
+    body: "",
+    systemPrompt: "",
+    contextItems: [],
+    shared: false
+  };
+}
+
+/**
+ * Save a prompt to the library, replacing any prompt with the same id
+ * @param {Object} prompt - The prompt
+ * @returns {Promise<void>}
+ */
+export async function savePrompt(prompt) {
+  const library = foundry.utils.deepClone(game.settings.get('divination', 'promptLibrary') || {});
+  library[prompt.id] = {
+    id: prompt.id,
+    title: prompt.title.trim() || "Untitled Prompt",
+    body: prompt.body,
+    systemPrompt: prompt.systemPrompt || "",
+    contextItems: (prompt.contextItems || []).map(toContextReference),
+    shared: Boolean(prompt.shared)
+  };
+  await game.settings.set('divination', 'promptLibrary', library);
+}
+
+/**
+ * Delete a prompt from the library
+ * @param {string} id - The prompt id
+ * @returns {Promise<void>}
+ */
+export async function deletePrompt(id) {
+  const library = foundry.utils.deepClone(game.settings.get('divination', 'promptLibrary') || {});
+  delete library[id];
+  await game.settings.set('divination', 'promptLibrary', library);
+}
+
+/**
+ * List the variables used in a prompt, in the order they first appear
+ * @param {Object} prompt - The prompt
+ * @returns {Array<string>} - The variable names
+ */
+export function getPromptVariables(prompt) {
+  const names = new Set();
+  for (const text of [prompt.body, prompt.systemPrompt || ""]) {
+    for (const match of text.matchAll(VARIABLE_PATTERN)) {
+      names.add(match[1]);
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Replace the {{variables}} in a text
+ * @param {string} text - The text
+ * @param {Object<string, string>} values - The variable values
+ * @returns {string} - The filled-in text
+ */
+export function fillPromptText(text, values) {
+  return text.replace(VARIABLE_PATTERN, (match, name) => values[name] ?? match);
+}
+
+/**
+ * Suggested values for common variables, used to pre-fill the form
+ * @returns {Object<string, string>} - The values by variable name
+ */
+export function getDefaultValues() {
+  return {
+    system: game.system.title,
+    world: game.world.title,
+    scene: game.scenes.viewed?.name || "",
+    user: game.user.name,
+    character: game.user.character?.name || ""
+  };
+}
+
+/**
+ * Ask for the prompt's variables, then send it in a chat.
+ * The prompt's system prompt and context items are applied to the conversation first.
+ * @param {DivinationChat} chat - The chat to send the prompt in
+ * @param {Object} prompt - The prompt
+ * @returns {Promise<boolean>} - Whether the prompt was sent
+ */
+export async function usePrompt(chat, prompt) {
+  if (chat.processing) {
+    ui.notifications.warn("Divination is still responding. Press Stop to cancel the current request.");
+    return false;
+  }
+
+  const variables = getPromptVariables(prompt);
+  let values = {};
+  if (variables.length) {
+    values = await promptForValues(prompt, variables);
+    if (!values) return false;
+  }
+
+  if (prompt.systemPrompt) {
+    chat.setSystemPrompt(fillPromptText(prompt.systemPrompt, values));
+    chat.addNote(`This conversation now uses the system prompt from <strong>${escapeHtml(prompt.title)}</strong>. Type <code>/system reset</code> to go back to the System Prompt setting.`);
+  }
+
+  for (const reference of prompt.contextItems || []) {
+    const item = await resolveContextItem(reference).catch(() => null);
+    if (item) {
+      chat.addContext(item);
+    } else {
+      ui.notifications.warn(`Divination: Context not available: ${reference.name}`);
+    }
+  }
+
+  return chat.submit(fillPromptText(prompt.body, values));
+}
+
+/**
+ * Show the fill-in form for a prompt's variables
+ * @param {Object} prompt - The prompt
+ * @param {Array<string>} variables - The variable names
+ * @returns {Promise<Object|null>} - The values by variable name, or null if cancelled
+ * @private
+ */
+async function promptForValues(prompt, variables) {
+  const defaults = getDefaultValues();
+  const fields = variables.map(name => `
+    <div class="form-group">
+      <label>${escapeHtml(name)}</label>
+      <div class="form-fields">
+        <input type="text" name="${escapeHtml(name)}" value="${escapeHtml(defaults[name] || "")}">
+      </div>
+    </div>
+  `).join('');
+
+  return Dialog.prompt({
+    title: prompt.title,
+    content: `<form class="divination-prompt-values" autocomplete="off">${fields}</form>`,
+    label: "Send",
+    render: (html) => html.find('input').first().focus(),
+    callback: (html) => Object.fromEntries(variables.map(name => [
+      name,
+      html.find(`input[name="${name}"]`).val().trim()
+    ])),
+    rejectClose: false
+  });
+}
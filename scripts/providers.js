@@ -0,0 +1,463 @@
+import { getValueAtPath } from './utils.js';
+import { DivinationError, ERROR_KINDS } from './errors.js';
+import { renderJsonTemplate, TemplateError } from './template.js';
+
+/**
+ * Provider adapters for the Divination module
+ *
+ * Each adapter knows how a provider authenticates, how its request payload is shaped,
+ * where the system message goes and how text and reasoning are read back out of its responses.
+ *
+ * Adapters receive a request object built by sendMessage:
+ * - systemPrompt: The system prompt, including any context items
+ * - messages: The conversation history ending with the new user message
+ * - userMessage: The new user message, prefixed with the conversation as text when there is history
+ * - contextualHistory: The conversation as plain text
+ * - baseSystemPrompt: The system prompt without context items
+ * - contextItems: The context items that fit the token budget
+ * - message: The new user message on its own
+ * - model: The model name
+ * - maxTokens: The maximum number of tokens to generate
+ * - temperature: The sampling temperature (only used by payload templates)
+ * - stream: Whether the response should be streamed
+ * - userName, assistantName: Display names (only used by payload templates)
+ * - packing: A report of what was cut to fit the token budget (informational only)
+ */
+
+/**
+ * Default API endpoint for each provider, used to fill the URL when the provider changes
+ * @type {Object<string, string>}
+ */
+const DEFAULT_URLS = {
+  openai: 'https://api.openai.com/v1/chat/completions',
+  anthropic: 'https://api.anthropic.com/v1/messages',
+  ollama: 'http://localhost:11434/api/chat',
+  gemini: 'https://generativelanguage.googleapis.com/v1beta/models/{{Model}}:generateContent'
+};
+
+/**
+ * OpenAI Chat Completions and compatible APIs (LM Studio, Mistral, vLLM, OpenRouter...)
+ */
+const openaiAdapter = {
+  id: 'openai',
+  label: "OpenAI-compatible",
+  defaultModel: 'gpt-4o',
+
+  buildUrl(url) {
+    return url;
+  },
+
+  buildHeaders(apiKey) {
+    return apiKey ? { "Authorization": `Bearer ${apiKey}` } : {};
+  },
+
+  buildPayload(request) {
+    const payload = {
+      model: request.model || this.defaultModel,
+      messages: [
+        { role: 'system', content: request.systemPrompt },
+        ...toChatMessages(request.messages)
+      ],
+      stream: request.stream
+    };
+    if (request.maxTokens > 0) payload.max_tokens = request.maxTokens;
+    return payload;
+  },
+
+  extractResponse(data) {
+    return getValueAtPath(data, 'choices.0.message.content');
+  },
+
+  extractStreamDelta(chunk) {
+    return getValueAtPath(chunk, 'choices.0.delta.content');
+  },
+
+  // DeepSeek, vLLM and others use reasoning_content; OpenRouter uses reasoning
+  extractReasoning(data) {
+    return getValueAtPath(data, 'choices.0.message.reasoning_content') ??
+      getValueAtPath(data, 'choices.0.message.reasoning');
+  },
+
+  extractStreamReasoning(chunk) {
+    return getValueAtPath(chunk, 'choices.0.delta.reasoning_content') ??
+      getValueAtPath(chunk, 'choices.0.delta.reasoning');
+  },
+
+  describeResponsePath() {
+    return 'choices.0.message.content';
+  }
+};
+
+/**
+ * Anthropic Messages API
+ */
+const anthropicAdapter = {
+  id: 'anthropic',
+  label: "Anthropic Messages",
+  defaultModel: 'claude-3-5-sonnet-latest',
+
+  buildUrl(url) {
+    return url;
+  },
+
+  buildHeaders(apiKey) {
+    const headers = {
+      "anthropic-version": "2023-06-01",
+      // Required for requests made directly from a browser
+      "anthropic-dangerous-direct-browser-access": "true"
+    };
+    if (apiKey) headers["x-api-key"] = apiKey;
+    return headers;
+  },
+
+  buildPayload(request) {
+    // The system prompt is a top-level field, and messages must alternate starting with the user
+    return {
+      model: request.model || this.defaultModel,
+      system: request.systemPrompt,
+      messages: toAlternatingMessages(request.messages),
+      max_tokens: request.maxTokens > 0 ? request.maxTokens : 1024,
+      stream: request.stream
+    };
+  },
+
+  extractResponse(data) {
+    if (!Array.isArray(data?.content)) return undefined;
+    return data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  },
+
+  extractStreamDelta(chunk) {
+    if (chunk.type !== 'content_block_delta') return undefined;
+    return chunk.delta?.text;
+  },
+
+  // Extended thinking arrives as separate "thinking" content blocks
+  extractReasoning(data) {
+    if (!Array.isArray(data?.content)) return undefined;
+    return data.content
+      .filter(block => block.type === 'thinking')
+      .map(block => block.thinking)
+      .join('\n\n');
+  },
+
+  extractStreamReasoning(chunk) {
+    if (chunk.type !== 'content_block_delta' || chunk.delta?.type !== 'thinking_delta') return undefined;
+    return chunk.delta.thinking;
+  },
+
+  describeResponsePath() {
+    return 'content.0.text';
+  }
+};
+
+/**
+ * Ollama chat API
+ */
+const ollamaAdapter = {
+  id: 'ollama',
+  label: "Ollama",
+  defaultModel: 'llama3',
+
+  buildUrl(url) {
+    return url;
+  },
+
+  buildHeaders(apiKey) {
+    // Ollama has no authentication, but a reverse proxy in front of it might
+    return apiKey ? { "Authorization": `Bearer ${apiKey}` } : {};
+  },
+
+  buildPayload(request) {
+    const payload = {
+      model: request.model || this.defaultModel,
+      messages: [
+        { role: 'system', content: request.systemPrompt },
+        ...toChatMessages(request.messages)
+      ],
+      // Ollama streams unless told otherwise
+      stream: Boolean(request.stream)
+    };
+    if (request.maxTokens > 0) payload.options = { num_predict: request.maxTokens };
+    return payload;
+  },
+
+  extractResponse(data) {
+    return getValueAtPath(data, 'message.content');
+  },
+
+  extractStreamDelta(chunk) {
+    return getValueAtPath(chunk, 'message.content');
+  },
+
+  // Thinking models return their reasoning separately when "think" is enabled
+  extractReasoning(data) {
+    return getValueAtPath(data, 'message.thinking');
+  },
+
+  extractStreamReasoning(chunk) {
+    return getValueAtPath(chunk, 'message.thinking');
+  },
+
+  describeResponsePath() {
+    return 'message.content';
+  }
+};
+
+/**
+ * Google Gemini generateContent API
+ */
+const geminiAdapter = {
+  id: 'gemini',
+  label: "Google Gemini",
+  defaultModel: 'gemini-1.5-flash',
+
+  buildUrl(url, request) {
+    let resolved = url.replace('{{Model}}', encodeURIComponent(request.model || this.defaultModel));
+    // Streaming uses a separate method that answers with server-sent events
+    if (request.stream && resolved.includes(':generateContent')) {
+      resolved = resolved.replace(':generateContent', ':streamGenerateContent');
+      resolved += (resolved.includes('?') ? '&' : '?') + 'alt=sse';
+    }
+    return resolved;
+  },
+
+  buildHeaders(apiKey) {
+    return apiKey ? { "x-goog-api-key": apiKey } : {};
+  },
+
+  buildPayload(request) {
+    const payload = {
+      systemInstruction: {
+        parts: [{ text: request.systemPrompt }]
+      },
+      contents: toAlternatingMessages(request.messages).map(m => ({
+        role: m.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: m.content }]
+      }))
+    };
+    if (request.maxTokens > 0) payload.generationConfig = { maxOutputTokens: request.maxTokens };
+    return payload;
+  },
+
+  extractResponse(data) {
+    const parts = getValueAtPath(data, 'candidates.0.content.parts');
+    if (!Array.isArray(parts)) return undefined;
+    return parts
+      .filter(part => typeof part.text === 'string' && !part.thought)
+      .map(part => part.text)
+      .join('');
+  },
+
+  extractStreamDelta(chunk) {
+    return this.extractResponse(chunk);
+  },
+
+  // Thought summaries are parts flagged with "thought"
+  extractReasoning(data) {
+    const parts = getValueAtPath(data, 'candidates.0.content.parts');
+    if (!Array.isArray(parts)) return undefined;
+    return parts
+      .filter(part => typeof part.text === 'string' && part.thought)
+      .map(part => part.text)
+      .join('');
+  },
+
+  extractStreamReasoning(chunk) {
+    return this.extractReasoning(chunk);
+  },
+
+  describeResponsePath() {
+    return 'candidates.0.content.parts.0.text';
+  }
+};
+
+/**
+ * Generic adapter driven by the Payload JSON template and Response JSON Path settings
+ */
+const genericAdapter = {
+  id: 'generic',
+  label: "Generic (custom payload)",
+  defaultModel: '',
+
+  buildUrl(url) {
+    return url;
+  },
+
+  buildHeaders(apiKey) {
+    return apiKey ? { "Authorization": `Bearer ${apiKey}` } : {};
+  },
+
+  buildPayload(request) {
+    const payload = buildTemplatePayload(request);
+    // Ask the endpoint for an incremental response when streaming
+    if (request.stream) {
+      payload.stream = true;
+    }
+    return payload;
+  },
+
+  extractResponse(data) {
+    return getValueAtPath(data, game.settings.get('divination', 'responseJsonPath'));
+  },
+
+  extractStreamDelta(chunk) {
+    // OpenAI-style chunks carry the text under "delta" where the final response has "message",
+    // while Ollama chunks have the same shape as its final response
+    const responseJsonPath = game.settings.get('divination', 'responseJsonPath');
+    const candidates = [
+      responseJsonPath.replace(/\bmessage\b/, 'delta'),
+      responseJsonPath,
+      'choices.0.delta.content',
+      'choices.0.text',
+      'message.content',
+      'response'
+    ];
+    
+    for (const path of candidates) {
+      const value = getValueAtPath(chunk, path);
+      if (typeof value === 'string') return value;
+    }
+    return undefined;
+  },
+
+  // Reasoning fields are only read through the Reasoning JSON Path setting
+  extractReasoning() {
+    return undefined;
+  },
+
+  extractStreamReasoning() {
+    return undefined;
+  },
+
+  describeResponsePath() {
+    return game.settings.get('divination', 'responseJsonPath');
+  }
+};
+
+/**
+ * All registered provider adapters, keyed by id
+ * @type {Object<string, Object>}
+ */
+export const PROVIDERS = {
+  openai: openaiAdapter,
+  anthropic: anthropicAdapter,
+  ollama: ollamaAdapter,
+  gemini: geminiAdapter,
+  generic: genericAdapter
+};
+
+/**
+ * Get a provider adapter by id
+ * @param {string} id - The provider id
+ * @returns {Object} - The adapter, falling back to the generic adapter for unknown ids
+ */
+export function getProvider(id) {
+  return PROVIDERS[id] || PROVIDERS.generic;
+}
+
+/**
+ * Get the provider choices for the settings dropdown
+ * @returns {Object<string, string>} - Provider labels keyed by id
+ */
+export function getProviderChoices() {
+  return Object.fromEntries(Object.values(PROVIDERS).map(p => [p.id, p.label]));
+}
+
+/**
+ * Get the default API endpoint for a provider
+ * @param {string} id - The provider id
+ * @returns {string|undefined} - The default URL, if the provider has one
+ */
+export function getProviderDefaultUrl(id) {
+  return DEFAULT_URLS[id];
+}
+
+/**
+ * Reduce messages to the plain role/content pairs chat APIs accept
+ * @param {Array} messages - The message history
+ * @returns {Array} - The cleaned messages
+ * @private
+ */
+function toChatMessages(messages) {
+  return messages
+    .filter(m => m.role === 'user' || m.role === 'assistant')
+    .map(m => ({ role: m.role, content: m.content }));
+}
+
+/**
+ * Reduce messages to a strictly alternating list that starts with the user.
+ * Leading assistant messages (like the greeting) are dropped and consecutive
+ * messages from the same role are merged.
+ * @param {Array} messages - The message history
+ * @returns {Array} - The alternating messages
+ * @private
+ */
+function toAlternatingMessages(messages) {
+  const result = [];
+  
+  for (const message of toChatMessages(messages)) {
+    if (!result.length && message.role !== 'user') continue;
+    
+    const previous = result[result.length - 1];
+    if (previous && previous.role === message.role) {
+      previous.content += `\n\n${message.content}`;
+    } else {
+      result.push({ ...message });
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Build a payload from the Payload JSON template setting
+ * @param {Object} request - The request built by sendMessage
+ * @returns {Object} - The payload
+ * @throws {DivinationError} - A bad-payload error if the template is invalid
+ * @private
+ */
+function buildTemplatePayload(request) {
+  // The settings textarea stores line breaks as \n sequences
+  const source = game.settings.get('divination', 'payloadJson').replace(/\\n/g, "\n");
+
+  try {
+    return renderJsonTemplate(source, getTemplateVariables(request));
+  } catch (error) {
+    if (!(error instanceof TemplateError)) throw error;
+    throw new DivinationError(ERROR_KINDS.BAD_PAYLOAD, error.message, {
+      body: error.excerpt ? `Line ${error.line}: ${error.excerpt}` : undefined
+    });
+  }
+}
+
+/**
+ * Map a request to the variables available in payload templates
+ * @param {Object} request - The request built by sendMessage
+ * @returns {Object} - The template variables
+ * @private
+ */
+function getTemplateVariables(request) {
+  return {
+    SystemMessage: request.systemPrompt,
+    SystemPrompt: request.baseSystemPrompt,
+    UserMessage: request.userMessage,
+    Message: request.message,
+    MessageHistory: request.messages,
+    Context: request.contextualHistory,
+    ContextItems: (request.contextItems || []).map(item => ({
+      type: item.type,
+      name: item.name,
+      journalName: item.journalName || "",
+      content: item.content
+    })),
+    Model: request.model,
+    Temperature: request.temperature,
+    MaxTokens: request.maxTokens,
+    Stream: request.stream,
+    UserName: request.userName,
+    AssistantName: request.assistantName
+  };
+}
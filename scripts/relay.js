@@ -0,0 +1,254 @@
+import { log } from './utils.js';
+import { hasPermission } from './settings.js';
+import { performRequest, createAbortError } from './api.js';
+import { resolveModelSettings } from './profiles.js';
+import { registerSocketHandler, emitSocket } from './socket.js';
+import { DivinationError, ERROR_KINDS, errorFromException } from './errors.js';
+
+/**
+ * GM relay for LLM requests
+ *
+ * In relay mode, player clients never see the API key. They send their prepared request
+ * to the active GM over the socket, the GM client performs it with the key stored in its
+ * client settings, and the result (or the error) is sent back to the requesting player.
+ */
+
+/**
+ * How often a GM forwards streamed text to the requesting player
+ * @type {number}
+ */
+const STREAM_UPDATE_INTERVAL = 200;
+
+/**
+ * Extra time a player waits beyond the request timeout before giving up on the GM
+ * @type {number}
+ */
+const RELAY_GRACE_SECONDS = 10;
+
+/**
+ * Requests this client is waiting on, keyed by request id
+ * @type {Map<string, {gmId: string, resolve: Function, reject: Function, onText: Function|null}>}
+ */
+const pendingRequests = new Map();
+
+/**
+ * Requests this GM client is performing for players, keyed by request id
+ * @type {Map<string, {userId: string, controller: AbortController}>}
+ */
+const relayedRequests = new Map();
+
+/**
+ * Check whether requests should be relayed through a GM
+ * @returns {boolean} - Whether relay mode is enabled
+ */
+export function isRelayEnabled() {
+  return game.settings.get('divination', 'requestMode') === 'relay';
+}
+
+/**
+ * Perform a request through the active GM client
+ * @param {Object} request - The request built by prepareRequest
+ * @param {Object} [options] - Request options
+ * @param {Function} [options.onText] - Called with the accumulated text and reasoning while streaming
+ * @param {AbortSignal} [options.signal] - Cancels the request on the GM client too
+ * @returns {Promise<{text: string, reasoning: string}>} - The response, as returned by performRequest
+ */
+export async function relayRequest(request, { onText = null, signal = null } = {}) {
+  // A GM holds the key already and can perform the request itself
+  if (game.user.isGM) {
+    return performRequest(request, { onText, signal });
+  }
+  
+  if (signal?.aborted) throw createAbortError();
+  
+  const gm = game.users.activeGM;
+  if (!gm) {
+    throw new DivinationError(ERROR_KINDS.RELAY, "No GM is connected. Divination requests are relayed through the GM, so a GM must be online.");
+  }
+  
+  const requestId = foundry.utils.randomID();
+  
+  // The GM enforces the request timeout; this one only catches a GM that stops answering
+  const timeoutSeconds = game.settings.get('divination', 'requestTimeout');
+  
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      emitSocket('relayCancel', { requestId: requestId, gmId: gm.id }, { recipients: [gm.id] });
+      settleRequest(requestId, pending => pending.reject(createAbortError()));
+    };
+    
+    const timer = timeoutSeconds > 0
+      ? setTimeout(() => {
+        emitSocket('relayCancel', { requestId: requestId, gmId: gm.id }, { recipients: [gm.id] });
+        settleRequest(requestId, pending => pending.reject(
+          new DivinationError(ERROR_KINDS.RELAY, "The GM did not answer the relayed request in time.")
+        ));
+      }, (timeoutSeconds + RELAY_GRACE_SECONDS) * 1000)
+      : null;
+    
+    const cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    
+    pendingRequests.set(requestId, {
+      gmId: gm.id,
+      resolve: (value) => { cleanup(); resolve(value); },
+      reject: (error) => { cleanup(); reject(error); },
+      onText
+    });
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    emitSocket('relayRequest', {
+      requestId: requestId,
+      gmId: gm.id,
+      request: request
+    }, { recipients: [gm.id] });
+  });
+}
+
+/**
+ * Settle a pending request and forget it
+ * @param {string} requestId - The request id
+ * @param {Function} settle - Receives the pending entry
+ * @private
+ */
+function settleRequest(requestId, settle) {
+  const pending = pendingRequests.get(requestId);
+  if (!pending) return;
+  pendingRequests.delete(requestId);
+  settle(pending);
+}
+
+/**
+ * Check whether a relayed result comes from the GM the request was sent to
+ * @param {Object} data - The result message
+ * @param {string} senderId - The sending user's id
+ * @returns {boolean} - Whether this client should accept the result
+ * @private
+ */
+function isFromRequestedGM(data, senderId) {
+  if (data.userId !== game.user.id) return false;
+  return pendingRequests.get(data.requestId)?.gmId === senderId;
+}
+
+/**
+ * Perform a relayed request on the GM client and send the result back
+ * @param {Object} data - The relay request
+ * @param {string} senderId - The requesting user's id
+ * @private
+ */
+async function handleRelayRequest(data, senderId) {
+  // Only the GM the request was addressed to handles it
+  if (!game.user.isGM || data.gmId !== game.user.id) return;
+  
+  const sender = game.users.get(senderId);
+  const reply = (type, payload) => emitSocket(type, {
+    requestId: data.requestId,
+    userId: senderId,
+    ...payload
+  }, { recipients: [senderId] });
+  
+  if (!sender || !hasPermission(sender)) {
+    reply('relayError', {
+      error: new DivinationError(ERROR_KINDS.AUTH, "You don't have permission to use Divination.").toJSON()
+    });
+    return;
+  }
+  
+  log({message: `Relaying request for ${sender.name}`, type: ["debug"]});
+  
+  // Forward streamed text at a limited rate; the full text follows in the response
+  let lastUpdate = 0;
+  const onText = data.request.stream
+    ? (text, reasoning) => {
+      const now = Date.now();
+      if (now - lastUpdate < STREAM_UPDATE_INTERVAL) return;
+      lastUpdate = now;
+      reply('relayUpdate', { text: text, reasoning: reasoning });
+    }
+    : null;
+  
+  // The GM pays for the request, so the model settings are read again here: players can only pick
+  // one of the model profiles the GM configured, the same ones /model offers them
+  const { model, maxTokens, temperature } = resolveModelSettings(data.request.profile);
+  const request = { ...data.request, model, maxTokens, temperature };
+  
+  const controller = new AbortController();
+  relayedRequests.set(data.requestId, { userId: senderId, controller });
+  
+  try {
+    const response = await performRequest(request, { onText, signal: controller.signal });
+    reply('relayResponse', { response: response });
+  } catch (error) {
+    // The player already knows about its own cancellation
+    if (error.name === 'AbortError') return;
+    
+    log({
+      message: `Relayed request for ${sender.name} failed`,
+      error: error,
+      type: ["warn"]
+    });
+    reply('relayError', { error: errorFromException(error).toJSON() });
+  } finally {
+    relayedRequests.delete(data.requestId);
+  }
+}
+
+/**
+ * Move the world API key into this GM's client settings so players can no longer read it
+ */
+export async function secureApiKey() {
+  if (!game.user.isGM || !isRelayEnabled()) return;
+  
+  const worldKey = game.settings.get('divination', 'apiKey');
+  if (!worldKey) return;
+  
+  if (!game.settings.get('divination', 'gmApiKey')) {
+    await game.settings.set('divination', 'gmApiKey', worldKey);
+  }
+  await game.settings.set('divination', 'apiKey', "");
+  
+  ui.notifications.info("Divination: The API key was moved to this browser's GM API Key setting so players can no longer read it. Other GMs need to enter it in their own settings.");
+}
+
+/**
+ * Register the relay socket handlers
+ */
+export function initRelay() {
+  registerSocketHandler('relayRequest', handleRelayRequest);
+  
+  registerSocketHandler('relayCancel', (data, senderId) => {
+    // Only the requesting player can cancel its request
+    const relayed = relayedRequests.get(data.requestId);
+    if (!relayed || relayed.userId !== senderId) return;
+    relayed.controller.abort();
+  });
+  
+  registerSocketHandler('relayUpdate', (data, senderId) => {
+    if (!isFromRequestedGM(data, senderId)) return;
+    const pending = pendingRequests.get(data.requestId);
+    if (pending.onText) pending.onText(data.text, data.reasoning);
+  });
+  
+  registerSocketHandler('relayResponse', (data, senderId) => {
+    if (!isFromRequestedGM(data, senderId)) return;
+    settleRequest(data.requestId, pending => pending.resolve(data.response));
+  });
+  
+  registerSocketHandler('relayError', (data, senderId) => {
+    if (!isFromRequestedGM(data, senderId)) return;
+    settleRequest(data.requestId, pending => pending.reject(DivinationError.fromJSON(data.error)));
+  });
+  
+  // Fail requests whose GM disconnects before answering
+  Hooks.on('userConnected', (user, connected) => {
+    if (connected) return;
+    for (const [requestId, pending] of pendingRequests) {
+      if (pending.gmId !== user.id) continue;
+      settleRequest(requestId, p => p.reject(
+        new DivinationError(ERROR_KINDS.RELAY, "The GM disconnected before the request finished.")
+      ));
+    }
+  });
+}
@@ -0,0 +1,188 @@
+/**
+ * HTML sanitization for the Divination module
+ *
+ * Replies and notes are shown as HTML, but their text comes from the model or from other users,
+ * and in a shared session it is rendered in other users' browsers. User messages are escaped
+ * and shown as plain text; all other HTML passes through sanitizeHtml before it is rendered. It keeps the tags and
+ * attributes needed for formatted text (including the output of MarkdownParser) and removes
+ * everything else: scripts, event handlers, styles, forms, embeds and unsafe URLs. Images are
+ * only kept when they load from the Foundry server, so a message can't make every viewer's
+ * browser fetch an outside URL.
+ */
+
+/**
+ * Tags that are kept, with the attributes each may carry besides the global ones
+ * @type {Object<string, Array<string>>}
+ */
+const ALLOWED_TAGS = {
+  a: ['href', 'target'],
+  abbr: [],
+  b: [],
+  blockquote: [],
+  br: [],
+  caption: [],
+  code: [],
+  dd: [],
+  del: [],
+  details: ['open'],
+  div: [],
+  dl: [],
+  dt: [],
+  em: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  i: [],
+  img: ['src', 'alt', 'width', 'height'],
+  kbd: [],
+  li: [],
+  mark: [],
+  ol: ['start'],
+  p: [],
+  pre: [],
+  s: [],
+  small: [],
+  span: [],
+  strike: [],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['align', 'colspan', 'rowspan'],
+  tfoot: [],
+  th: ['align', 'colspan', 'rowspan'],
+  thead: [],
+  tr: [],
+  u: [],
+  ul: []
+};
+
+/**
+ * Attributes any kept tag may carry
+ * @type {Array<string>}
+ */
+const GLOBAL_ATTRIBUTES = ['class', 'title'];
+
+/**
+ * Tags that are removed together with their content.
+ * Other tags that aren't allowed are unwrapped, so their text is kept.
+ * @type {Set<string>}
+ */
+const DROPPED_TAGS = new Set([
+  'applet', 'audio', 'base', 'button', 'embed', 'form', 'frame', 'frameset', 'head', 'iframe',
+  'input', 'link', 'math', 'meta', 'noscript', 'object', 'script', 'select', 'style', 'svg',
+  'template', 'textarea', 'title', 'video'
+]);
+
+/**
+ * Attributes holding a URL, which must use a safe scheme
+ * @type {Set<string>}
+ */
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+
+/**
+ * URL schemes allowed in links; URLs without a scheme are relative and always allowed
+ * @type {Array<string>}
+ */
+const SAFE_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Remove anything unsafe from an HTML string
+ * @param {string} html - The HTML, e.g. a model reply or a user message
+ * @returns {string} - The sanitized HTML
+ */
+export function sanitizeHtml(html) {
+  if (!html) return "";
+
+  // Template content is inert: scripts don't run and images don't load while it is parsed
+  const template = document.createElement('template');
+  template.innerHTML = String(html);
+  sanitizeChildren(template.content);
+  return template.innerHTML;
+}
+
+/**
+ * Check whether a URL may be used in a link or image
+ * @param {string} url - The URL
+ * @returns {boolean} - Whether the URL is relative or uses a safe scheme
+ */
+export function isSafeUrl(url) {
+  // Browsers ignore whitespace and control characters in schemes, e.g. "java\tscript:"
+  const normalized = String(url).replace(/[\u0000-\u0020\u007F]/g, '').toLowerCase();
+  const scheme = /^([a-z][a-z0-9+.-]*:)/.exec(normalized);
+  return !scheme || SAFE_SCHEMES.includes(scheme[1]);
+}
+
+/**
+ * Check whether an image source loads from the Foundry server
+ * @param {string} url - The image URL
+ * @returns {boolean} - Whether the URL is relative or has this page's origin
+ */
+export function isSameOriginUrl(url) {
+  if (!isSafeUrl(url)) return false;
+  try {
+    return new URL(url, window.location.href).origin === window.location.origin;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Sanitize the children of a node in place
+ * @param {Node} parent - The node
+ * @private
+ */
+function sanitizeChildren(parent) {
+  for (const node of [...parent.childNodes]) {
+    if (node.nodeType === Node.TEXT_NODE) continue;
+
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove();
+      continue;
+    }
+
+    const tag = node.localName.toLowerCase();
+    if (DROPPED_TAGS.has(tag)) {
+      node.remove();
+      continue;
+    }
+
+    sanitizeChildren(node);
+
+    if (!Object.hasOwn(ALLOWED_TAGS, tag)) {
+      node.replaceWith(...node.childNodes);
+      continue;
+    }
+
+    sanitizeAttributes(node, tag);
+    if (tag === 'img' && !node.hasAttribute('src')) node.remove();
+  }
+}
+
+/**
+ * Remove the attributes a kept element may not carry
+ * @param {Element} element - The element
+ * @param {string} tag - Its tag name, in lower case
+ * @private
+ */
+function sanitizeAttributes(element, tag) {
+  for (const { name, value } of [...element.attributes]) {
+    const allowed = GLOBAL_ATTRIBUTES.includes(name) || ALLOWED_TAGS[tag].includes(name);
+    const safeUrl = tag === 'img' ? isSameOriginUrl(value) : isSafeUrl(value);
+    if (!allowed || (URL_ATTRIBUTES.has(name) && !safeUrl)) {
+      element.removeAttribute(name);
+    }
+  }
+
+  // Links opened in a new window get no access to this one
+  if (tag === 'a' && element.hasAttribute('target')) {
+    element.setAttribute('target', '_blank');
+    element.setAttribute('rel', 'noopener noreferrer');
+  }
+}
@@ -0,0 +1,295 @@
+import { escapeHtml } from './utils.js';
+import { listConversations } from './storage.js';
+
+/**
+ * Conversation search for the Divination module
+ *
+ * Searches the messages of all the user's stored conversations. Every word of the query must
+ * appear in a message for it to match; "quoted phrases" must appear as written. Only the
+ * branch each conversation is on is searched (see branches.js).
+ */
+
+/**
+ * Most results shown for a search
+ * @type {number}
+ */
+const MAX_RESULTS = 200;
+
+/**
+ * Characters of text shown around the first match
+ * @type {number}
+ */
+const SNIPPET_CONTEXT = 80;
+
+/**
+ * Delay after typing before the search runs, in milliseconds
+ * @type {number}
+ */
+const SEARCH_DELAY = 250;
+
+/**
+ * Turn every run of whitespace into a single space, so phrases match across line breaks
+ * @param {string} text - The text
+ * @returns {string} - The collapsed text
+ * @private
+ */
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ');
+}
+
+/**
+ * Split a query into the terms a message must contain
+ * @param {string} query - The query, e.g. 'blacksmith "iron key"'
+ * @returns {Array<string>} - The terms in lower case, with whitespace collapsed
+ */
+export function parseSearchTerms(query) {
+  const terms = [];
+  for (const match of String(query || "").matchAll(/"([^"]+)"|(\S+)/g)) {
+    const term = collapseWhitespace(match[1] ?? match[2]).trim().toLowerCase();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+/**
+ * Search the messages of conversations
+ * @param {Array<Object>} conversations - The conversations to search
+ * @param {string} query - The query
+ * @param {Object} [filters] - Search filters
+ * @param {string} [filters.conversationId] - Only search this conversation
+ * @param {string} [filters.role] - Only search "user" or "assistant" messages
+ * @param {number} [filters.from] - Only messages sent at or after this time (ms)
+ * @param {number} [filters.to] - Only messages sent before this time (ms)
+ * @returns {Array<Object>} - Matches, newest first, as { conversationId, conversationName, messageId, role, sender, timestamp, snippet },
+ *   where snippet is HTML with the matches highlighted
+ */
+export function searchConversations(conversations, query, { conversationId = "", role = "", from = null, to = null } = {}) {
+  const terms = parseSearchTerms(query);
+  if (!terms.length) return [];
+
+  const assistantName = game.settings.get('divination', 'assistantName');
+  const results = [];
+  for (const conversation of conversations) {
+    if (conversationId && conversation.id !== conversationId) continue;
+
+    for (const entry of conversation.history) {
+      if (!['user', 'assistant'].includes(entry.role)) continue;
+      if (role && entry.role !== role) continue;
+      if (from !== null && entry.timestamp < from) continue;
+      if (to !== null && entry.timestamp >= to) continue;
+
+      const text = collapseWhitespace(entry.content || "");
+      const lower = text.toLowerCase();
+      if (!terms.every(term => lower.includes(term))) continue;
+
+      results.push({
+        conversationId: conversation.id,
+        conversationName: conversation.name,
+        messageId: entry.id,
+        role: entry.role,
+        sender: entry.role === 'user'
+          ? (game.users.get(entry.userId) || game.user).name
+          : conversation.actor?.name || assistantName,
+        timestamp: entry.timestamp,
+        snippet: highlightSnippet(text, terms)
+      });
+    }
+  }
+
+  return results
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, MAX_RESULTS);
+}
+
+/**
+ * Cut the text around the first match and highlight every match in it
+ * @param {string} flat - The message text, with whitespace collapsed
+ * @param {Array<string>} terms - The search terms, in lower case
+ * @returns {string} - The snippet as HTML
+ * @private
+ */
+function highlightSnippet(flat, terms) {
+  const lower = flat.toLowerCase();
+  const indexes = terms.map(term => lower.indexOf(term)).filter(index => index >= 0);
+  const first = indexes.length ? Math.min(...indexes) : 0;
+
+  const start = Math.max(0, first - SNIPPET_CONTEXT);
+  const end = Math.min(flat.length, first + SNIPPET_CONTEXT * 2);
+  const snippet = flat.slice(start, end);
+
+  // Find the matches in the snippet, then merge overlapping ones
+  const ranges = [];
+  const snippetLower = snippet.toLowerCase();
+  for (const term of terms) {
+    let index = snippetLower.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = snippetLower.indexOf(term, index + term.length);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  let html = "";
+  let position = 0;
+  for (const [rangeStart, rangeEnd] of ranges) {
+    if (rangeEnd <= position) continue;
+    const from = Math.max(rangeStart, position);
+    html += `${escapeHtml(snippet.slice(position, from))}<mark>${escapeHtml(snippet.slice(from, rangeEnd))}</mark>`;
+    position = rangeEnd;
+  }
+  html += escapeHtml(snippet.slice(position));
+
+  return `${start > 0 ? "..." : ""}${html}${end < flat.length ? "..." : ""}`;
+}
+
+/**
+ * Turn the value of a date input into a time
+ * @param {string} value - The date, as YYYY-MM-DD
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.endOfDay=false] - Return the start of the following day instead
+ * @returns {number|null} - The local time in ms, or null if no date is set
+ * @private
+ */
+function parseDateInput(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const date = new Date(`${value}T00:00`);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay) date.setDate(date.getDate() + 1);
+  return date.getTime();
+}
+
+/**
+ * Window for searching the user's conversations
+ */
+export class ConversationSearch extends Application {
+  /**
+   * @param {DivinationChat} chat - The chat results are opened in
+   * @param {Object} [options] - Application options
+   * @param {string} [options.query] - The query to start with
+   */
+  constructor(chat, options = {}) {
+    super(options);
+    this.chat = chat;
+    this.query = options.query || "";
+    this.filters = { conversationId: "", role: "", from: "", to: "" };
+    this._searchTimeout = null;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'divination-search',
+      title: "Divination: Search Conversations",
+      template: 'modules/divination/templates/search.hbs',
+      classes: ['divination-search'],
+      width: 520,
+      height: 600,
+      resizable: true
+    });
+  }
+
+  /**
+   * Open the search, reusing the open one if there is one.
+   * The chat is saved first, so its latest messages can be found.
+   * @param {DivinationChat} chat - The chat results are opened in
+   * @param {string} [query] - The query to search for
+   * @returns {Promise<ConversationSearch>} - The search window
+   */
+  static async open(chat, query = "") {
+    await chat.save();
+
+    const search = Object.values(ui.windows).find(app => app instanceof ConversationSearch) || new ConversationSearch(chat);
+    search.chat = chat;
+    if (query) search.query = query;
+    search.render(true);
+    return search;
+  }
+
+  /**
+   * @returns {Object} - The template data
+   */
+  getData() {
+    return {
+      query: this.query,
+      filters: this.filters,
+      conversations: listConversations().map(conversation => ({ id: conversation.id, name: conversation.name })),
+      roles: { "": "All messages", user: "User messages", assistant: "Replies" }
+    };
+  }
+
+  /**
+   * Activate listeners for the search
+   * @param {jQuery} html - The rendered search
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('input[name="query"]').on('input', (event) => {
+      this.query = event.currentTarget.value;
+      clearTimeout(this._searchTimeout);
+      this._searchTimeout = setTimeout(() => this._showResults(html), SEARCH_DELAY);
+    });
+
+    html.find('.divination-search-filters').find('select, input').on('change', (event) => {
+      this.filters[event.currentTarget.name] = event.currentTarget.value;
+      this._showResults(html);
+    });
+
+    html.find('.divination-search-results').on('click', '.divination-search-result', (event) => {
+      event.preventDefault();
+      const { conversationId, messageId } = event.currentTarget.dataset;
+      this.chat.jumpToMessage(conversationId, messageId);
+    });
+
+    this._showResults(html);
+    html.find('input[name="query"]').focus();
+  }
+
+  /**
+   * Run the search and list the results
+   * @param {jQuery} html - The rendered search
+   * @private
+   */
+  _showResults(html) {
+    const list = html.find('.divination-search-results');
+    const summary = html.find('.divination-search-summary');
+    list.empty();
+
+    if (!parseSearchTerms(this.query).length) {
+      summary.text("Type to search your conversations.");
+      return;
+    }
+
+    const results = searchConversations(listConversations(), this.query, {
+      conversationId: this.filters.conversationId,
+      role: this.filters.role,
+      from: parseDateInput(this.filters.from),
+      to: parseDateInput(this.filters.to, { endOfDay: true })
+    });
+
+    summary.text(results.length === MAX_RESULTS
+      ? `Showing the ${MAX_RESULTS} newest matches.`
+      : `${results.length} match${results.length === 1 ? "" : "es"}.`);
+
+    for (const result of results) {
+      list.append(`
+        <li class="divination-search-result" data-conversation-id="${result.conversationId}" data-message-id="${result.messageId}">
+          <div class="divination-search-result-header">
+            <strong>${escapeHtml(result.conversationName)}</strong>
+            <span class="notes">${escapeHtml(result.sender)}, ${new Date(result.timestamp).toLocaleString()}</span>
+          </div>
+          <p class="divination-search-result-snippet">${result.snippet}</p>
+        </li>
+      `);
+    }
+  }
+
+  /**
+   * Stop a pending search when the window is closed
+   * @param {Object} [options] - Close options
+   * @returns {Promise<void>}
+   */
+  async close(options) {
+    clearTimeout(this._searchTimeout);
+    return super.close(options);
+  }
+}
@@ -0,0 +1,274 @@
+import { log, escapeHtml } from './utils.js';
+import { registerSocketHandler, emitSocket } from './socket.js';
+import { hasPermission } from './settings.js';
+
+/**
+ * Shared Divination sessions
+ *
+ * A GM can open the conversation in their chat window to the whole table or to chosen players.
+ * The GM's client hosts the session: it holds the conversation, performs every request with
+ * its own settings, and sends the state to the participants whenever it changes. Participants
+ * see the session in a separate chat window; their messages are sent to the host, which runs
+ * them one at a time unless the GM has locked the input.
+ *
+ * Socket messages:
+ * - sessionState (host): The session state, sent to the participants; they apply it
+ * - sessionUpdate (host): Streamed text of the response being generated
+ * - sessionEnd (host): The session is over
+ * - sessionJoin (participant): Asks the host for the state, e.g. after a reload
+ * - sessionMessage (participant): A message for the assistant
+ * - sessionRejected (host): A participant's message was not accepted, and why
+ */
+
+/**
+ * Id of the chat window participants see the session in
+ * @type {string}
+ */
+export const SESSION_CHAT_ID = 'session';
+
+/**
+ * How often the host forwards streamed text to the participants
+ * @type {number}
+ */
+const STREAM_UPDATE_INTERVAL = 200;
+
+/**
+ * The DivinationChat class, set by initSessions
+ * @type {Function|null}
+ */
+let ChatClass = null;
+
+/**
+ * The chat hosting a session on this client, if any
+ * @type {DivinationChat|null}
+ */
+let hostChat = null;
+
+/**
+ * When the host last forwarded streamed text
+ * @type {number}
+ */
+let lastStreamUpdate = 0;
+
+/**
+ * Create the session for a chat on the host
+ * @param {DivinationChat} chat - The chat to share
+ * @param {Array<string>|null} userIds - The participants, or null for every user allowed to use Divination
+ * @returns {Object} - The session ({ id, conversationId, userIds, locked })
+ */
+export function startSession(chat, userIds) {
+  if (hostChat && hostChat !== chat) endSession(hostChat);
+
+  chat.session = {
+    id: foundry.utils.randomID(),
+    conversationId: chat.conversationId,
+    userIds: userIds,
+    locked: false
+  };
+  hostChat = chat;
+
+  syncSession(chat, { open: true });
+  log({message: `Shared session started for ${userIds ? userIds.length : "all"} users`});
+  return chat.session;
+}
+
+/**
+ * End the session a chat is hosting
+ * @param {DivinationChat} chat - The hosting chat
+ */
+export function endSession(chat) {
+  if (!chat.session) return;
+
+  emitSocket('sessionEnd', { sessionId: chat.session.id }, { recipients: getParticipantIds(chat.session) });
+  chat.session = null;
+  if (hostChat === chat) hostChat = null;
+}
+
+/**
+ * Check whether a user takes part in a session. Users without permission to use Divination never do.
+ * @param {Object} session - The session
+ * @param {string} userId - The user id
+ * @returns {boolean} - Whether the user is a participant
+ */
+export function isSessionParticipant(session, userId) {
+  const user = game.users.get(userId);
+  if (!user || !hasPermission(user)) return false;
+  return !session.userIds || session.userIds.includes(userId);
+}
+
+/**
+ * Get the users session messages are sent to; a session shared with everyone goes to the
+ * users who currently have permission to use Divination
+ * @param {Object} session - The session
+ * @returns {Array<string>} - The participants' user ids
+ * @private
+ */
+function getParticipantIds(session) {
+  return game.users
+    .filter(user => user.id !== game.user.id && isSessionParticipant(session, user.id))
+    .map(user => user.id);
+}
+
+/**
+ * Send the session state of a hosting chat to the participants
+ * @param {DivinationChat} chat - The hosting chat
+ * @param {Object} [options] - Sync options
+ * @param {boolean} [options.open=false] - Whether participants should open the session window
+ * @param {string} [options.openFor] - Open the session window for this user only
+ */
+export function syncSession(chat, { open = false, openFor = null } = {}) {
+  if (!chat.session) return;
+
+  // The state holds the whole conversation, so it only goes to those who take part
+  const recipients = openFor ? [openFor] : getParticipantIds(chat.session);
+  emitSocket('sessionState', {
+    sessionId: chat.session.id,
+    userIds: chat.session.userIds,
+    open: open,
+    openFor: openFor,
+    state: {
+      name: chat.conversationName,
+      history: chat.history,
+      contextItems: chat.contextItems.map(item => ({ type: item.type, id: item.id, name: item.name, journalName: item.journalName || "" })),
+      actor: chat.actor,
+      locked: chat.session.locked,
+      processing: chat.processing,
+      pendingEntry: chat.pendingEntry || null
+    }
+  }, { recipients: recipients });
+}
+
+/**
+ * Send the streamed text of the response being generated to the participants, at a limited rate
+ * @param {DivinationChat} chat - The hosting chat
+ * @param {Object} partial - The partial result reported by sendMessage
+ */
+export function syncSessionUpdate(chat, partial) {
+  if (!chat.session) return;
+
+  const now = Date.now();
+  if (now - lastStreamUpdate < STREAM_UPDATE_INTERVAL) return;
+  lastStreamUpdate = now;
+
+  emitSocket('sessionUpdate', {
+    sessionId: chat.session.id,
+    partial: { rawContent: partial.rawContent, reasoning: partial.reasoning, pending: partial.pending }
+  }, { recipients: getParticipantIds(chat.session) });
+}
+
+/**
+ * Send a message from a participant to the host
+ * @param {DivinationChat} chat - The participant's session chat
+ * @param {string} content - The message
+ * @returns {boolean} - Whether the message was sent
+ */
+export function sendSessionMessage(chat, content) {
+  const host = game.users.get(chat.remote.hostId);
+  if (!host?.active) {
+    chat.addNote("The GM hosting this session is not connected.", { error: true });
+    return false;
+  }
+
+  emitSocket('sessionMessage', { sessionId: chat.remote.sessionId, content: content }, { recipients: [host.id] });
+  return true;
+}
+
+/**
+ * Get or create the chat a participant sees a session in
+ * @param {string} hostId - The hosting GM's user id
+ * @param {string} sessionId - The session id
+ * @returns {DivinationChat} - The session chat
+ * @private
+ */
+function getParticipantChat(hostId, sessionId) {
+  let chat = ChatClass.instances.get(SESSION_CHAT_ID);
+  if (!chat) {
+    chat = new ChatClass({ id: SESSION_CHAT_ID, remoteSession: { hostId, sessionId } });
+  }
+  chat.remote = { hostId, sessionId, ended: false };
+  return chat;
+}
+
+/**
+ * Get the session chat a message is for, if it comes from the GM hosting that session
+ * @param {string} sessionId - The session id in the message
+ * @param {string} senderId - The sending user's id
+ * @returns {DivinationChat|null} - The session chat, or null if the message should be ignored
+ * @private
+ */
+function getHostedChat(sessionId, senderId) {
+  const chat = ChatClass.instances.get(SESSION_CHAT_ID);
+  if (chat?.remote?.sessionId !== sessionId || chat.remote.hostId !== senderId) return null;
+  return game.users.get(senderId)?.isGM ? chat : null;
+}
+
+/**
+ * Register the session socket handlers
+ * @param {Function} DivinationChat - The chat class, used to open session windows
+ */
+export function initSessions(DivinationChat) {
+  ChatClass = DivinationChat;
+
+  registerSocketHandler('sessionState', (data, senderId) => {
+    const sender = game.users.get(senderId);
+    if (!sender?.isGM || senderId === game.user.id || !hasPermission(game.user)) return;
+    if (data.userIds && !data.userIds.includes(game.user.id)) return;
+
+    // Only open a window that isn't already showing this session when asked to
+    const existing = ChatClass.instances.get(SESSION_CHAT_ID);
+    const isNew = existing?.remote?.sessionId !== data.sessionId;
+    if (isNew && !data.open && data.openFor !== game.user.id) return;
+
+    const chat = getParticipantChat(senderId, data.sessionId);
+    chat.applySessionState(data.state);
+
+    if (data.open || data.openFor === game.user.id) {
+      chat.render(true);
+      if (isNew) ui.notifications.info(`${sender.name} opened a shared Divination session.`);
+    }
+  });
+
+  // Only the hosting GM may update, end or answer for a session; anyone who saw its id could try
+  registerSocketHandler('sessionUpdate', (data, senderId) => {
+    const chat = getHostedChat(data.sessionId, senderId);
+    if (chat) chat.applySessionUpdate(data.partial);
+  });
+
+  registerSocketHandler('sessionEnd', (data, senderId) => {
+    const chat = getHostedChat(data.sessionId, senderId);
+    if (chat) chat.endRemoteSession();
+  });
+
+  registerSocketHandler('sessionRejected', (data, senderId) => {
+    if (data.userId !== game.user.id) return;
+    const chat = getHostedChat(data.sessionId, senderId);
+    if (chat) chat.addNote(escapeHtml(data.reason), { error: true });
+  });
+
+  registerSocketHandler('sessionJoin', (data, senderId) => {
+    if (!hostChat?.session || !isSessionParticipant(hostChat.session, senderId)) return;
+    syncSession(hostChat, { openFor: senderId });
+  });
+
+  registerSocketHandler('sessionMessage', async (data, senderId) => {
+    const session = hostChat?.session;
+    if (!session || session.id !== data.sessionId) return;
+
+    const reject = (reason) => emitSocket('sessionRejected', { sessionId: session.id, userId: senderId, reason: reason }, { recipients: [senderId] });
+
+    if (!isSessionParticipant(session, senderId)) return reject("You are not part of this session.");
+    if (session.locked) return reject("The GM has locked the input.");
+    if (hostChat.processing) return reject("Divination is still answering. Wait for the reply, then send your message again.");
+    if (typeof data.content !== 'string' || !data.content.trim()) return;
+
+    await hostChat.receiveSessionMessage(senderId, data.content.trim());
+  });
+
+  // The session lives in the host's client, so it ends when the host leaves
+  window.addEventListener('beforeunload', () => {
+    if (hostChat) endSession(hostChat);
+  });
+
+  // Ask a hosting GM for the session after a reload
+  emitSocket('sessionJoin', {});
+}
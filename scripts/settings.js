@@ -1,4 +1,8 @@
 import { log } from './utils.js';
+import { getProviderChoices, getProviderDefaultUrl } from './providers.js';
+import { secureApiKey } from './relay.js';
+import { validateTemplate } from './template.js';
+import { ConnectionTest } from './connection-test.js';
 
 export const SYSTEM_PROMPT="You are a helpful assistant in a tabletop roleplaying game. Provide concise, useful information and ideas that enhance the game experience. When appropriate, frame your responses in a way that fits within the fantasy setting, but also be clear and direct when giving rules information or practical advice."
 
@@ -10,16 +14,19 @@ export function registerSettings() {
      * Default payload JSON for API calls
      */
     const defaultPayloadJson = `{
-  "model": "gpt-4o",
+  "model": "{{#if Model}}{{Model}}{{else}}gpt-4o{{/if}}",
+  "temperature": {{Temperature}},
   "messages": [
     {
       "role": "system",
       "content": "{{SystemMessage}}"
     },
+    {{#each MessageHistory}}
     {
-      "role": "user",
-      "content": "{{UserMessage}}"
-    }
+      "role": "{{role}}",
+      "content": "{{content}}"
+    },
+    {{/each}}
   ]
 }`
 
@@ -44,6 +51,35 @@ export function registerSettings() {
     });
 
     // API Configuration Settings
+    game.settings.register('divination', 'provider', {
+        name: "Provider",
+        hint: "The API your endpoint speaks. Each provider uses its own authentication headers, payload shape and response format. Choose Generic to use the Payload JSON and Response JSON Path settings below.",
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: getProviderChoices(),
+        default: "generic",
+        onChange: (value) => {
+            // Point the URL at the new provider unless it was customized
+            if (!game.user?.isGM) return;
+            const currentUrl = game.settings.get('divination', 'textGenerationApiUrl');
+            const knownUrls = Object.keys(getProviderChoices()).map(getProviderDefaultUrl);
+            const defaultUrl = getProviderDefaultUrl(value);
+            if (defaultUrl && (!currentUrl || knownUrls.includes(currentUrl))) {
+                game.settings.set('divination', 'textGenerationApiUrl', defaultUrl);
+            }
+        }
+    });
+
+    game.settings.registerMenu('divination', 'connectionTest', {
+        name: "Test Connection",
+        label: "Test Connection",
+        hint: "Preview the request built from these settings (with the API key hidden), send a test message and inspect the raw response. Save any changes first.",
+        icon: "fas fa-plug",
+        type: ConnectionTest,
+        restricted: true
+    });
+
     game.settings.register('divination', 'textGenerationApiUrl', {
         name: 'Text Generation API URL',
         hint: 'Enter the complete URL for the text generation API endpoint (include https:// or http://)',
@@ -55,16 +91,81 @@ export function registerSettings() {
 
     game.settings.register('divination', 'apiKey', {
         name: "API Key",
-        hint: "Enter your API key here. (optional for some endpoints)",
+        hint: "Enter your API key here. (optional for some endpoints) This key is readable by every connected player; use the Relay through GM request mode to keep it private.",
         scope: 'world',
         config: true,
         type: String,
         default: ""
     });
 
+    game.settings.register('divination', 'requestMode', {
+        name: "Request Mode",
+        hint: "Direct: every client calls the API itself, so the API Key is readable by all players. Relay through GM: players send their requests to a connected GM, who calls the API with the GM API Key stored only in the GM's browser. A GM must be online for players to use Divination.",
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            "direct": "Direct",
+            "relay": "Relay through GM"
+        },
+        default: "direct",
+        onChange: () => secureApiKey()
+    });
+
+    game.settings.register('divination', 'gmApiKey', {
+        name: "GM API Key",
+        hint: "API key used when requests are relayed through the GM. Stored only in this browser and never shared with players. Each GM who may relay requests needs to enter it.",
+        scope: 'client',
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register('divination', 'model', {
+        name: "Model",
+        hint: "The model to request (e.g., 'gpt-4o', 'claude-3-5-sonnet-latest', 'llama3'). Leave empty to use the provider's default. Available to the Generic provider's template as {{Model}}.",
+        scope: 'world',
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register('divination', 'maxTokens', {
+        name: "Max Response Tokens",
+        hint: "The maximum number of tokens to generate per response (0 for the provider's default). Anthropic always requires a limit and uses 1024 when this is 0. Available to the Generic provider's template as {{MaxTokens}}.",
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 1024
+    });
+
+    game.settings.register('divination', 'temperature', {
+        name: "Temperature",
+        hint: "Sampling temperature for the Generic provider's template, available as {{Temperature}}. Higher values give more varied responses.",
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: {
+            min: 0,
+            max: 2,
+            step: 0.05
+        },
+        default: 0.7
+    });
+
+    game.settings.register('divination', 'modelProfiles', {
+        name: "Model Profiles",
+        hint: "Named model settings a conversation can switch to with /model <profile>, as a JSON list, e.g. [{\"name\": \"fast\", \"model\": \"gpt-4o-mini\", \"maxTokens\": 512, \"temperature\": 0.5}]. model, maxTokens and temperature are optional; left out, they come from the settings above.",
+        scope: 'world',
+        config: true,
+        type: String,
+        default: "[]",
+        onChange: (value) => checkModelProfiles(value)
+    });
+
     game.settings.register('divination', 'payloadJson', {
         name: "Payload JSON",
-        hint: "Enter the JSON payload template for the API request.",
+        hint: "The JSON payload template for the API request. Only used by the Generic provider. Insert values with {{SystemMessage}}, {{UserMessage}}, {{Model}}, {{Temperature}}, {{MaxTokens}} and more; repeat a section with {{#each MessageHistory}}...{{/each}} and use {{#if ...}}...{{else}}...{{/if}} for optional parts. See the README for the full list.",
         scope: 'world',
         config: true,
         type: String,
@@ -73,16 +174,66 @@ export function registerSettings() {
 
     game.settings.register('divination', 'responseJsonPath', {
         name: "Response JSON Path",
-        hint: "Enter the path to the response JSON in dot notation.",
+        hint: "Enter the path to the response JSON in dot notation. Only used by the Generic provider.",
         scope: 'world',
         config: true,
         type: String,
         default: 'choices.0.message.content'
     });
 
+    game.settings.register('divination', 'streamResponses', {
+        name: "Stream Responses",
+        hint: "Show the response as it is generated. The endpoint must support streaming (OpenAI-style server-sent events or Ollama's line-delimited JSON).",
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.register('divination', 'requestTimeout', {
+        name: "Request Timeout",
+        hint: "Seconds to wait for a response before giving up (0 to wait indefinitely). Slow local models may need a higher value.",
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 120
+    });
+
+    game.settings.register('divination', 'maxRetries', {
+        name: "Max Retries",
+        hint: "How many times to retry a request after a rate limit, server or network error. Errors that can't succeed on retry, such as a bad API key, are never retried.",
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: {
+            min: 0,
+            max: 10,
+            step: 1
+        },
+        default: 2
+    });
+
+    game.settings.register('divination', 'reasoningStartTag', {
+        name: "Reasoning Start Tag",
+        hint: "Tag that opens a reasoning block in the response (e.g., '<think>'). Every block between the start and end tags is shown as reasoning. Leave empty to treat everything before the end tag as reasoning.",
+        scope: 'world',
+        config: true,
+        type: String,
+        default: '<think>'
+    });
+
     game.settings.register('divination', 'reasoningEndTag', {
         name: "Reasoning End Tag",
-        hint: "Tag that indicates the end of the AI's reasoning section (e.g., '##RESPONSE##'). Leave empty if your AI doesn't provide reasoning.",
+        hint: "Tag that closes a reasoning block (e.g., '</think>' or '##RESPONSE##'). Leave empty if your AI doesn't put reasoning in its response text.",
+        scope: 'world',
+        config: true,
+        type: String,
+        default: '</think>'
+    });
+
+    game.settings.register('divination', 'reasoningJsonPath', {
+        name: "Reasoning JSON Path",
+        hint: "Path to a separate reasoning field in the response, in dot notation (e.g., 'choices.0.message.reasoning_content'). Leave empty to use the provider's own reasoning fields; the Generic provider only reads reasoning fields from this path.",
         scope: 'world',
         config: true,
         type: String,
@@ -103,15 +254,65 @@ export function registerSettings() {
         default: "truncate"
     });
 
+    game.settings.register('divination', 'enrichResponses', {
+        name: "Enrich Responses",
+        hint: "Turn document links (@UUID[...]), inline rolls ([[/r 2d6]]) and your game system's enrichers in responses into clickable links and rolls, as in journals.",
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    game.settings.register('divination', 'documentLinks', {
+        name: "Document Links",
+        hint: "Which documents the system prompt lists with their UUIDs, so the AI can link to them. Listing world documents only includes what the user can see, but makes every request longer.",
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            "none": "None",
+            "context": "Context items",
+            "world": "Context items and world documents"
+        },
+        default: "context"
+    });
+
     game.settings.register('divination', 'messageHistory', {
         name: "Message History Length",
-        hint: "Number of messages to include in context (0 for no history)",
+        hint: "Number of messages to include in context (0 for no history). Ignored when Summarize Long Conversations is enabled.",
         scope: 'world',
         config: true,
         type: Number,
         default: 10
     });
 
+    game.settings.register('divination', 'summarizeHistory', {
+        name: "Summarize Long Conversations",
+        hint: "When a conversation grows past the summary threshold, condense its older messages into a running memory with an extra request, instead of dropping them. The memory can be viewed and edited from the chat window.",
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.register('divination', 'summaryThreshold', {
+        name: "Summary Threshold",
+        hint: "Number of messages after which older messages are summarized. The most recent half are always kept word for word.",
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 20
+    });
+
+    game.settings.register('divination', 'maxContextTokens', {
+        name: "Max Context Tokens",
+        hint: "Approximate token budget for each request (0 for no limit). The system prompt and your message are always sent; context items and then the most recent messages are added while they fit. Set this below your model's context window to leave room for the response.",
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 8000
+    });
+
     game.settings.register('divination', 'systemPrompt', {
         name: "System Prompt",
         hint: "The system prompt that defines the AI's behavior and capabilities. Will be sent with every conversation.",
@@ -121,6 +322,15 @@ export function registerSettings() {
         default: SYSTEM_PROMPT
     });
 
+    // Saved prompts, managed by GMs from the prompt library in the chat window
+    game.settings.register('divination', 'promptLibrary', {
+        name: "Prompt Library",
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}
+    });
+
     // Register permission for using Divination
     game.settings.register('divination', 'permission', {
         name: "Permission Level",
@@ -146,6 +356,19 @@ export function registerSettings() {
     log({message: "Divination settings registered successfully."});
 }
 
+/**
+ * Warn when the Model Profiles setting can't be read
+ * @param {string} value - The setting's new value
+ */
+function checkModelProfiles(value) {
+    try {
+        const profiles = JSON.parse(value || "[]");
+        if (!Array.isArray(profiles)) throw new Error("It must be a JSON list.");
+    } catch (error) {
+        ui.notifications.warn(`Divination: The Model Profiles setting can't be read, so no profiles are available. ${error.message}`);
+    }
+}
+
 /**
  * Check if a user has permission to use Divination
  * @param {User} user - The user to check
@@ -243,6 +466,33 @@ function convertSettingToTextarea(html, moduleId, settingKey, textareaStyle, rep
   }
 }
 
+/**
+ * Check the Payload JSON template as it is edited and show the first error under the textarea
+ * @param {jQuery} settingDiv - The payloadJson setting's form group
+ */
+function attachTemplateValidation(settingDiv) {
+  const textarea = settingDiv.find("textarea");
+  if (!textarea.length) return;
+  
+  const errorEl = $('<p class="notes divination-template-error"></p>');
+  settingDiv.find("div.form-fields").after(errorEl);
+  
+  const check = () => {
+    const error = validateTemplate(textarea.val());
+    errorEl.text(error ? error.message : "").toggle(!!error);
+    return error;
+  };
+  
+  textarea.on("input", foundry.utils.debounce(check, 300));
+  textarea.on("change", () => {
+    const error = check();
+    if (error) {
+      ui.notifications.warn(`Divination: ${error.message}`);
+    }
+  });
+  check();
+}
+
 // Handle settings UI rendering
 Hooks.on("renderSettingsConfig", (app, html, data) => {
   console.log("Divination | Settings config rendered");
@@ -250,6 +500,11 @@ Hooks.on("renderSettingsConfig", (app, html, data) => {
   // Wait a short moment to ensure DOM is fully rendered
   setTimeout(() => {
     try {
+      // The GM API key is only meaningful in a GM's browser
+      if (!game.user.isGM) {
+        html.find('[data-setting-id="divination.gmApiKey"]').remove();
+      }
+      
       // Convert the payloadJson setting field
       convertSettingToTextarea(
         html,
@@ -263,6 +518,22 @@ Hooks.on("renderSettingsConfig", (app, html, data) => {
           if (notesEl.length && formFieldsEl.length) {
             notesEl.after(formFieldsEl);
           }
+          attachTemplateValidation(settingDiv);
+        }
+      );
+      
+      // Convert the modelProfiles setting field
+      convertSettingToTextarea(
+        html,
+        "divination",
+        "modelProfiles",
+        "width: 518px; min-height: 60px; height: 120px;",
+        (settingDiv) => {
+          const notesEl = settingDiv.find("p.notes");
+          const formFieldsEl = settingDiv.find("div.form-fields");
+          if (notesEl.length && formFieldsEl.length) {
+            notesEl.after(formFieldsEl);
+          }
         }
       );
       
@@ -295,6 +566,21 @@ Hooks.on("renderSettingsConfig", (app, html, data) => {
               "divination",
               "payloadJson",
               "width: 518px; min-height: 120px; height: 336px;",
+              (settingDiv) => {
+                const notesEl = settingDiv.find("p.notes");
+                const formFieldsEl = settingDiv.find("div.form-fields");
+                if (notesEl.length && formFieldsEl.length) {
+                  notesEl.after(formFieldsEl);
+                }
+                attachTemplateValidation(settingDiv);
+              }
+            );
+            
+            convertSettingToTextarea(
+              html,
+              "divination",
+              "modelProfiles",
+              "width: 518px; min-height: 60px; height: 120px;",
               (settingDiv) => {
                 const notesEl = settingDiv.find("p.notes");
                 const formFieldsEl = settingDiv.find("div.form-fields");
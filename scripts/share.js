@@ -0,0 +1,197 @@
+import { escapeHtml } from './utils.js';
+
+/**
+ * Sharing assistant replies to the Foundry chat log
+ *
+ * A shared reply is posted as a ChatMessage and carries a flag linking it back to the
+ * conversation it came from: flags.divination.source = { conversationId, conversationName, messageId }
+ */
+
+/**
+ * Who can see a shared message
+ * @type {Object<string, string>}
+ */
+export const SHARE_MODES = {
+  public: "Public",
+  whisper: "Whisper to selected players",
+  blind: "Blind to GM"
+};
+
+/**
+ * Post an assistant reply to the chat log
+ * @param {string} content - The reply as HTML
+ * @param {Object} [options] - Share options
+ * @param {string} [options.mode="public"] - One of the SHARE_MODES keys
+ * @param {Array<string>} [options.whisper=[]] - User ids to whisper to, for the "whisper" mode
+ * @param {Object} [options.speaker] - The ChatMessage speaker; the assistant if not given
+ * @param {Object} [options.source] - The conversation and message the reply came from
+ * @returns {Promise<ChatMessage>} - The created message
+ */
+export async function shareToChat(content, { mode = 'public', whisper = [], speaker = null, source = {} } = {}) {
+  const chatData = {
+    content: `<div class="divination-shared">${content}</div>`,
+    // Built directly, since getSpeaker would otherwise pick up a controlled token
+    speaker: speaker || { scene: null, actor: null, token: null, alias: game.settings.get('divination', 'assistantName') },
+    flags: {
+      divination: {
+        source: {
+          conversationId: source.conversationId || null,
+          conversationName: source.conversationName || "",
+          messageId: source.messageId || null
+        }
+      }
+    }
+  };
+
+  if (mode === 'whisper') {
+    if (!whisper.length) throw new Error("Choose at least one player to whisper to.");
+    chatData.whisper = whisper;
+  } else if (mode === 'blind') {
+    chatData.whisper = ChatMessage.getWhisperRecipients('GM').map(user => user.id);
+    chatData.blind = true;
+  }
+
+  return ChatMessage.create(chatData);
+}
+
+/**
+ * Ask how to share a reply, then post it to the chat log
+ * @param {string} content - The reply as HTML
+ * @param {Object} [source] - The conversation and message the reply came from
+ * @param {Object} [options] - Dialog options
+ * @param {string} [options.speaker="assistant"] - The speaker selected at first, e.g. "actor:<uuid>"
+ * @returns {Promise<ChatMessage|null>} - The created message, or null if cancelled
+ */
+export async function promptShare(content, source = {}, { speaker = 'assistant' } = {}) {
+  const speakers = getSpeakerChoices();
+  const users = game.users.filter(user => user.id !== game.user.id);
+
+  const modeOptions = Object.entries(SHARE_MODES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+
+  const speakerOptions = speakers.map(group => {
+    const options = group.choices
+      .map(choice => `<option value="${choice.value}" ${choice.value === speaker ? "selected" : ""}>${escapeHtml(choice.label)}</option>`)
+      .join('');
+    return group.label ? `<optgroup label="${escapeHtml(group.label)}">${options}</optgroup>` : options;
+  }).join('');
+
+  const userCheckboxes = users
+    .map(user => `
+      <label class="divination-share-user">
+        <input type="checkbox" name="whisper" value="${user.id}">
+        ${escapeHtml(user.name)}${user.active ? "" : " (offline)"}
+      </label>
+    `)
+    .join('');
+
+  const dialogContent = `
+    <form class="divination-share">
+      <div class="form-group">
+        <label>Visibility</label>
+        <select name="mode">${modeOptions}</select>
+      </div>
+      <div class="form-group divination-share-users" style="display: none;">
+        <label>Players</label>
+        <div class="form-fields">${userCheckboxes || "<em>No other players</em>"}</div>
+      </div>
+      <div class="form-group">
+        <label>Speaker</label>
+        <select name="speaker">${speakerOptions}</select>
+      </div>
+    </form>
+  `;
+
+  const choice = await Dialog.prompt({
+    title: "Share to Chat",
+    content: dialogContent,
+    label: "Share",
+    render: (html) => {
+      html.find('select[name="mode"]').on('change', ev => {
+        html.find('.divination-share-users').toggle(ev.currentTarget.value === 'whisper');
+        html.closest('.app').css('height', 'auto');
+      });
+    },
+    callback: (html) => ({
+      mode: html.find('select[name="mode"]').val(),
+      whisper: html.find('input[name="whisper"]:checked').map((i, el) => el.value).get(),
+      speaker: html.find('select[name="speaker"]').val()
+    }),
+    rejectClose: false
+  });
+  if (!choice) return null;
+
+  try {
+    const message = await shareToChat(content, {
+      mode: choice.mode,
+      whisper: choice.whisper,
+      speaker: resolveSpeaker(choice.speaker),
+      source: source
+    });
+    ui.notifications.info("Shared to chat.");
+    return message;
+  } catch (error) {
+    ui.notifications.error(`Could not share the reply: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * List who a reply can be spoken as: the assistant, the user, and the tokens and actors they own
+ * @returns {Array<Object>} - Groups of { label, choices: [{ value, label }] }
+ * @private
+ */
+function getSpeakerChoices() {
+  const groups = [{
+    label: "",
+    choices: [
+      { value: 'assistant', label: game.settings.get('divination', 'assistantName') },
+      { value: 'user', label: `${game.user.name} (you)` }
+    ]
+  }];
+
+  // Controlled tokens first, since that's usually who the GM wants to speak as
+  const tokens = (canvas?.tokens?.placeables || [])
+    .filter(token => token.isOwner)
+    .sort((a, b) => Number(b.controlled) - Number(a.controlled));
+  if (tokens.length) {
+    groups.push({
+      label: "Tokens on this scene",
+      choices: tokens.map(token => ({ value: `token:${token.document.uuid}`, label: token.name }))
+    });
+  }
+
+  const actors = game.actors.filter(actor => actor.isOwner);
+  if (actors.length) {
+    groups.push({
+      label: "Actors",
+      choices: actors
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(actor => ({ value: `actor:${actor.uuid}`, label: actor.name }))
+    });
+  }
+
+  return groups;
+}
+
+/**
+ * Turn a speaker choice into ChatMessage speaker data
+ * @param {string} value - The choice from getSpeakerChoices
+ * @returns {Object|null} - The speaker, or null for the assistant
+ * @private
+ */
+function resolveSpeaker(value) {
+  if (value === 'user') return { scene: null, actor: null, token: null, alias: game.user.name };
+
+  const [type, uuid] = (value || "").split(/:(.+)/);
+  if (type === 'token') {
+    const token = fromUuidSync(uuid);
+    if (token) return ChatMessage.getSpeaker({ token: token });
+  } else if (type === 'actor') {
+    const actor = fromUuidSync(uuid);
+    if (actor) return ChatMessage.getSpeaker({ actor: actor });
+  }
+
+  return null;
+}
@@ -0,0 +1,66 @@
+import { log } from './utils.js';
+
+/**
+ * Socket channel used by the Divination module
+ * Requires "socket": true in module.json
+ * @type {string}
+ */
+export const SOCKET_NAME = 'module.divination';
+
+/**
+ * Registered handlers, keyed by message type
+ * @type {Map<string, Function>}
+ */
+const handlers = new Map();
+
+/**
+ * Register a handler for a type of socket message
+ * @param {string} type - The message type
+ * @param {Function} handler - Called with (data, senderId) when a message of this type arrives
+ */
+export function registerSocketHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Send a socket message to other connected clients
+ * @param {string} type - The message type
+ * @param {Object} data - The message data
+ * @param {Object} [options] - Send options
+ * @param {Array<string>|null} [options.recipients=null] - The users the message is for, or null for everyone
+ */
+export function emitSocket(type, data, { recipients = null } = {}) {
+  game.socket.emit(SOCKET_NAME, {
+    type: type,
+    recipients: recipients,
+    data: data
+  });
+}
+
+/**
+ * Start listening for Divination socket messages
+ */
+export function initSocket() {
+  game.socket.on(SOCKET_NAME, async (message, userId) => {
+    const handler = handlers.get(message?.type);
+    if (!handler) return;
+    
+    // Module socket messages reach every client; those addressed to other users are dropped unread
+    if (Array.isArray(message.recipients) && !message.recipients.includes(game.user.id)) return;
+    
+    // Handlers authorize by the sender, so only the one reported by the server is trusted
+    if (!userId) return;
+    
+    try {
+      await handler(message.data || {}, userId);
+    } catch (error) {
+      log({
+        message: `Error handling socket message: ${message.type}`,
+        error: error,
+        type: ["error"]
+      });
+    }
+  });
+  
+  log({message: "Divination socket initialized"});
+}
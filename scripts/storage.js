@@ -0,0 +1,170 @@
+/**
+ * Conversation storage for the Divination module
+ *
+ * Conversations are saved in the current user's flags, so each user keeps their own
+ * conversations across reloads. A stored conversation holds:
+ * - id: The conversation id
+ * - name: The name shown on its tab
+ * - created: When the conversation was created, which orders the tabs
+ * - history: Message entries ({ id, role, content, reasoning, timestamp }) for the branch being shown;
+ *   user messages also record their author (userId), and entries where the conversation forks
+ *   also keep the other branches (see branches.js)
+ * - contextItems: References to the context documents ({ type, id, uuid, name, journalName });
+ *   their content is read again from the documents when the conversation is restored
+ * - summary, summarizedCount: The conversation memory
+ * - systemPrompt: Override of the System Prompt setting, or null to use the setting
+ * - profile: The model profile the conversation uses, or null to use the model settings (see profiles.js)
+ * - actor: The actor the assistant speaks as ({ uuid, name, img }), or null (see npc.js)
+ * - updated: When the conversation was last saved
+ */
+
+/**
+ * Flag key holding the stored conversations, keyed by conversation id
+ * @type {string}
+ */
+const CONVERSATIONS_FLAG = 'conversations';
+
+/**
+ * Flag key holding the id of the conversation shown in the chat window
+ * @type {string}
+ */
+const ACTIVE_FLAG = 'activeConversation';
+
+/**
+ * Create a new, empty conversation (not yet stored)
+ * @param {string} name - The conversation name
+ * @param {Object} [options] - Initial conversation data
+ * @param {Array} [options.history=[]] - Initial message history
+ * @returns {Object} - The conversation
+ */
+export function createConversation(name, { history = [] } = {}) {
+  return {
+    id: foundry.utils.randomID(),
+    name: name,
+    created: Date.now(),
+    history: history,
+    contextItems: [],
+    summary: "",
+    summarizedCount: 0,
+    systemPrompt: null,
+    profile: null,
+    actor: null
+  };
+}
+
+/**
+ * List the stored conversations, oldest first
+ * @returns {Array<Object>} - The conversations
+ */
+export function listConversations() {
+  const conversations = game.user.getFlag('divination', CONVERSATIONS_FLAG) || {};
+  return Object.keys(conversations)
+    .map(loadConversation)
+    .filter(Boolean)
+    .sort((a, b) => a.created - b.created);
+}
+
+/**
+ * Get the id of the conversation last shown in the chat window
+ * @returns {string|null} - The conversation id
+ */
+export function getActiveConversationId() {
+  return game.user.getFlag('divination', ACTIVE_FLAG) || null;
+}
+
+/**
+ * Remember which conversation is shown in the chat window
+ * @param {string} id - The conversation id
+ * @returns {Promise<void>}
+ */
+export async function setActiveConversationId(id) {
+  await game.user.setFlag('divination', ACTIVE_FLAG, id);
+}
+
+/**
+ * Create a message entry for a conversation history
+ * @param {string} role - "user" or "assistant"
+ * @param {string} content - The message text
+ * @param {Object} [options] - Extra message data
+ * @param {string} [options.reasoning=""] - The reasoning that preceded an assistant message
+ * @param {string} [options.userId] - The user who wrote a user message
+ * @returns {Object} - The message entry
+ */
+export function createMessageEntry(role, content, { reasoning = "", userId } = {}) {
+  const entry = {
+    id: foundry.utils.randomID(),
+    role: role,
+    content: content,
+    reasoning: reasoning,
+    timestamp: Date.now()
+  };
+  if (userId) entry.userId = userId;
+  return entry;
+}
+
+/**
+ * Reduce a context item to the reference that is stored
+ * @param {Object} item - The context item
+ * @returns {Object} - The stored reference
+ */
+export function toContextReference(item) {
+  return {
+    type: item.type,
+    id: item.id,
+    uuid: item.uuid || null,
+    name: item.name,
+    journalName: item.journalName || ""
+  };
+}
+
+/**
+ * Load a stored conversation
+ * @param {string} id - The conversation id
+ * @returns {Object|null} - The stored conversation, or null if there is none
+ */
+export function loadConversation(id) {
+  if (!id) return null;
+  const conversations = game.user.getFlag('divination', CONVERSATIONS_FLAG) || {};
+  const stored = conversations[id];
+  if (!stored || !Array.isArray(stored.history)) return null;
+
+  // Conversations saved before they had names are given defaults
+  return {
+    name: "Conversation",
+    created: stored.updated || 0,
+    contextItems: [],
+    summary: "",
+    summarizedCount: 0,
+    systemPrompt: null,
+    profile: null,
+    actor: null,
+    ...foundry.utils.deepClone(stored),
+    id: id
+  };
+}
+
+/**
+ * Save a conversation, replacing any stored version
+ * @param {Object} conversation - The conversation to store
+ * @returns {Promise<void>}
+ */
+export async function saveConversation(conversation) {
+  // Arrays in flags are replaced on update rather than merged, so the history is written whole
+  await game.user.update({
+    [`flags.divination.${CONVERSATIONS_FLAG}.${conversation.id}`]: {
+      ...conversation,
+      updated: Date.now()
+    }
+  });
+}
+
+/**
+ * Delete a stored conversation
+ * @param {string} id - The conversation id
+ * @returns {Promise<void>}
+ */
+export async function deleteConversation(id) {
+  await game.user.update({
+    [`flags.divination.${CONVERSATIONS_FLAG}.-=${id}`]: null
+  });
+}
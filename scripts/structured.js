@@ -0,0 +1,109 @@
+import { sendMessage } from './api.js';
+import { getSchemaErrors } from './utils.js';
+import { DivinationError, ERROR_KINDS } from './errors.js';
+
+/**
+ * Structured output for the Divination module
+ *
+ * Generators that turn a reply into documents ask the model for JSON matching a JSON schema.
+ * The schema is sent in the system prompt, and the reply is parsed and validated against it.
+ * When that fails, the problems are sent back in a follow-up message so the model can repair
+ * its reply, a few times at most.
+ */
+
+/**
+ * How often a reply that doesn't match the schema is sent back for repair
+ * @type {number}
+ */
+const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Most validation problems listed in a repair message
+ * @type {number}
+ */
+const MAX_LISTED_ERRORS = 20;
+
+/**
+ * Find the JSON value in a reply, which may be wrapped in a code fence or surrounded by text
+ * @param {string} text - The reply
+ * @returns {Object} - { value } if the reply contains JSON, otherwise { error } with the parse error
+ */
+export function parseJsonResponse(text) {
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(text);
+  const candidates = [text.trim()];
+  if (fenced) candidates.push(fenced[1].trim());
+
+  // Fall back to the outermost braces, e.g. when the model adds a sentence before the JSON
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+
+  let error = "The reply is empty.";
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch (parseError) {
+      error = `The reply is not valid JSON: ${parseError.message}`;
+    }
+  }
+  return { error };
+}
+
+/**
+ * Ask the model for JSON matching a schema, sending it back for repair while it doesn't
+ * @param {Object} params - Request parameters
+ * @param {string} params.instructions - What the model should produce, placed before the schema in the system prompt
+ * @param {string} params.prompt - The user's request
+ * @param {Object} params.schema - The JSON schema the reply must match
+ * @param {Function} [params.validate] - Called with the value once it matches the schema; returns further problems, e.g. rules the schema can't express
+ * @param {Array<Object>} [params.contextItems=[]] - Reference material for the request
+ * @param {AbortSignal} [params.signal] - Aborts the request when signalled
+ * @param {Function} [params.onRepair] - Called with (attempt, errors) before each repair request
+ * @returns {Promise<Object>} - The validated JSON value
+ * @throws {DivinationError} - With kind INVALID_OUTPUT if the reply still doesn't match after the repairs
+ */
+export async function requestJson({ instructions, prompt, schema, validate = null, contextItems = [], signal = null, onRepair = null }) {
+  const systemPrompt = `${instructions}
+
+Reply with a single JSON value matching this JSON schema, and nothing else: no explanations and no Markdown code fences.
+
+${JSON.stringify(schema, null, 2)}`;
+
+  const history = [];
+  let message = prompt;
+  let errors = [];
+  let text = "";
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    if (attempt > 0 && onRepair) onRepair(attempt, errors);
+
+    const response = await sendMessage({
+      message: message,
+      history: history,
+      contextItems: contextItems,
+      systemPrompt: systemPrompt,
+      stream: false,
+      signal: signal
+    });
+    text = response.rawContent || "";
+
+    const parsed = parseJsonResponse(text);
+    errors = parsed.error ? [parsed.error] : getSchemaErrors(parsed.value, schema);
+    if (!errors.length && validate) errors = validate(parsed.value) || [];
+    if (!errors.length) return parsed.value;
+
+    // Keep the failed reply in the history, so the model repairs it instead of starting over
+    history.push({ role: 'user', content: message }, { role: 'assistant', content: text });
+    const listed = errors.slice(0, MAX_LISTED_ERRORS).map(error => `- ${error}`).join('\n');
+    message = `Your reply does not match the schema:
+
+${listed}
+
+Reply with the corrected JSON only.`;
+  }
+
+  throw new DivinationError(ERROR_KINDS.INVALID_OUTPUT, `The reply did not match the schema: ${errors.slice(0, 3).join('; ')}`, {
+    body: text
+  });
+}
@@ -0,0 +1,77 @@
+import { sendMessage } from './api.js';
+
+/**
+ * Rolling conversation summarization
+ *
+ * When a conversation grows past the summary threshold, its older messages are folded into
+ * a running summary by an extra LLM call. The summary is sent as a memory block in the
+ * system prompt in place of the messages it replaced.
+ */
+
+/**
+ * Instructions for the summarization call
+ * @type {string}
+ */
+export const SUMMARY_PROMPT = "You maintain the memory of an ongoing conversation between a user and an assistant during a tabletop roleplaying game. Update the existing summary with the new conversation turns. Keep every name, place, decision, fact, number and open question that may matter later, and drop small talk. Write concise notes in plain text, grouped by topic. Reply with the updated summary only.";
+
+/**
+ * Check whether a conversation has grown enough to be summarized
+ * @param {Array} history - The full message history
+ * @param {number} summarizedCount - The number of messages already folded into the summary
+ * @returns {boolean} - Whether older messages should be summarized now
+ */
+export function shouldSummarize(history, summarizedCount) {
+  if (!game.settings.get('divination', 'summarizeHistory')) return false;
+  const threshold = game.settings.get('divination', 'summaryThreshold');
+  return threshold > 0 && history.length - summarizedCount > threshold;
+}
+
+/**
+ * Get the index up to which messages should be folded into the summary.
+ * The most recent half of the threshold is always kept word for word.
+ * @param {Array} history - The full message history
+ * @param {number} summarizedCount - The number of messages already folded into the summary
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force=false] - Summarize even if the threshold hasn't been reached
+ * @returns {number} - The new summarized count (equal to summarizedCount if there is nothing to do)
+ */
+export function getSummaryCutoff(history, summarizedCount, { force = false } = {}) {
+  const threshold = game.settings.get('divination', 'summaryThreshold');
+  const keepRecent = Math.max(2, Math.floor(threshold / 2));
+  const cutoff = history.length - keepRecent;
+  
+  if (!force && !shouldSummarize(history, summarizedCount)) return summarizedCount;
+  return Math.max(summarizedCount, cutoff);
+}
+
+/**
+ * Fold messages into the running summary
+ * @param {Object} options - Summary options
+ * @param {string} [options.summary] - The current summary
+ * @param {Array} options.messages - The messages to fold in, oldest first
+ * @param {AbortSignal} [options.signal] - Cancels the summarization
+ * @param {string} [options.prompt=SUMMARY_PROMPT] - Instructions for the summarization call
+ * @returns {Promise<string>} - The updated summary
+ */
+export async function summarizeMessages({ summary = "", messages, signal = null, prompt = SUMMARY_PROMPT }) {
+  const transcript = messages
+    .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+    .join('\n\n');
+  
+  let message = "";
+  if (summary) {
+    message += `Current summary:\n\n${summary}\n\n`;
+  }
+  message += `New conversation turns:\n\n${transcript}\n\nWrite the updated summary.`;
+  
+  const response = await sendMessage({
+    message: message,
+    history: [],
+    contextItems: [],
+    systemPrompt: prompt,
+    stream: false,
+    signal: signal
+  });
+  
+  return response.rawContent.trim();
+}
@@ -0,0 +1,461 @@
+import { escapeHtml } from './utils.js';
+import { describeError } from './errors.js';
+import { requestJson } from './structured.js';
+import { toContextReference } from './storage.js';
+import { resolveContextItem } from './context.js';
+
+/**
+ * RollTable generator for the Divination module
+ *
+ * The generator asks the model for the results of a random table rolled with a given formula,
+ * e.g. "1d20 random encounters in a swamp", optionally drawing on a journal given as context.
+ * Each result has a weight: the number of consecutive rolls it covers. The weights must add up
+ * to the formula's range, so the ranges computed from them cover every roll exactly once. The
+ * results can be edited in the preview before the RollTable is created.
+ */
+
+/**
+ * Ranges up to this size get one result per roll
+ * @type {number}
+ */
+const MAX_SINGLE_RESULTS = 20;
+
+/**
+ * Fewest and most results asked for when results cover several rolls
+ * @type {Array<number>}
+ */
+const GROUPED_RESULTS = [10, 50];
+
+/**
+ * Largest range a generated table can have
+ * @type {number}
+ */
+const MAX_RANGE_SIZE = 1000;
+
+/**
+ * Whether the current user can create the generated tables
+ * @returns {boolean} - Whether the user may create roll tables
+ */
+export function canGenerateTables() {
+  return RollTable.canUserCreate(game.user);
+}
+
+/**
+ * Get the lowest and highest roll of a dice formula.
+ * Only dice and numbers added or subtracted are allowed, so every total in between can be rolled;
+ * "1d4*10", for example, can only roll four values between 10 and 40.
+ * @param {string} formula - The formula, e.g. "1d20" or "2d6+1"
+ * @returns {Promise<Object>} - { min, max }
+ */
+export async function getFormulaRange(formula) {
+  if (!Roll.validate(formula)) throw new Error(`"${formula}" is not a valid dice formula.`);
+
+  const { Die, NumericTerm, OperatorTerm } = foundry.dice.terms;
+  const plain = new Roll(formula).terms.every(term =>
+    (term instanceof Die && !term.modifiers.length)
+    || term instanceof NumericTerm
+    || (term instanceof OperatorTerm && ['+', '-'].includes(term.operator)));
+  if (!plain) throw new Error(`${formula} can't be used for a table. Use dice and numbers added or subtracted, such as 2d6+1.`);
+
+  const [min, max] = await Promise.all([
+    new Roll(formula).evaluate({ minimize: true }),
+    new Roll(formula).evaluate({ maximize: true })
+  ]);
+  if (max.total - min.total + 1 > MAX_RANGE_SIZE) {
+    throw new Error(`${formula} has more than ${MAX_RANGE_SIZE} possible rolls.`);
+  }
+  return { min: min.total, max: max.total };
+}
+
+/**
+ * Assign consecutive ranges to results in table order
+ * @param {Array<Object>} results - The results ({ text, weight })
+ * @param {number} min - The lowest roll
+ * @returns {Array<Object>} - The results with their range ([low, high])
+ */
+export function computeRanges(results, min) {
+  let next = min;
+  return results.map(result => {
+    const range = [next, next + result.weight - 1];
+    next += result.weight;
+    return { ...result, range };
+  });
+}
+
+/**
+ * Check that the weights of the results cover a range exactly
+ * @param {Array<Object>} results - The results ({ text, weight })
+ * @param {Object} range - The formula's range ({ min, max })
+ * @returns {string|null} - The problem, or null if the weights add up
+ */
+export function checkWeights(results, { min, max }) {
+  const total = results.reduce((sum, result) => sum + result.weight, 0);
+  const size = max - min + 1;
+  if (total === size) return null;
+  return `The weights add up to ${total}, but must add up to ${size} to cover the rolls ${min} to ${max}.`;
+}
+
+/**
+ * Check that every result has text and that the weights cover a range exactly
+ * @param {Array<Object>} results - The results ({ text, weight })
+ * @param {Object} range - The formula's range ({ min, max })
+ * @returns {string|null} - The problem, or null if the table can be created
+ */
+export function checkResults(results, range) {
+  const blank = results.findIndex(result => !result.text.trim());
+  if (blank !== -1) return `Result ${blank + 1} has no text. Fill it in or remove it.`;
+  return checkWeights(results, range);
+}
+
+/**
+ * Ask the model for a random table
+ * @param {Object} params - Generation parameters
+ * @param {string} params.formula - The dice formula the table is rolled with
+ * @param {string} params.theme - What the table is for, e.g. "random encounters in a swamp"
+ * @param {Object} [params.contextItem] - A context item the results should draw on
+ * @param {AbortSignal} [params.signal] - Aborts the request when signalled
+ * @param {Function} [params.onRepair] - Called with (attempt, errors) before each repair request
+ * @returns {Promise<Object>} - The table ({ name, description, results }), with results in table order
+ */
+export async function generateTable({ formula, theme, contextItem = null, signal = null, onRepair = null }) {
+  const range = await getFormulaRange(formula);
+  const size = range.max - range.min + 1;
+  const single = size <= MAX_SINGLE_RESULTS;
+  const [fewest, most] = single ? [size, size] : [Math.min(GROUPED_RESULTS[0], size), Math.min(GROUPED_RESULTS[1], size)];
+
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name', 'description', 'results'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      description: { type: 'string' },
+      results: {
+        type: 'array',
+        minItems: fewest,
+        maxItems: most,
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['text', 'weight'],
+          properties: {
+            text: { type: 'string', minLength: 1 },
+            weight: single ? { const: 1 } : { type: 'integer', minimum: 1 }
+          }
+        }
+      }
+    }
+  };
+
+  const layout = single
+    ? `Write exactly ${size} results, one for each roll, each with weight 1.`
+    : `Write ${fewest} to ${most} results. Each result covers as many consecutive rolls as its weight, and the weights must add up to ${size}. Give common results more weight than rare ones.`;
+
+  return requestJson({
+    instructions: `You create random tables for tabletop roleplaying games played with ${game.system.title}. Results are short and ready to use at the table: one or two sentences each, with concrete details and no numbering. ${layout}`,
+    prompt: `Create a table rolled with ${formula} (${range.min} to ${range.max}): ${theme}`,
+    schema: schema,
+    validate: (table) => {
+      const problem = checkWeights(table.results, range);
+      return problem ? [problem] : [];
+    },
+    contextItems: contextItem ? [contextItem] : [],
+    signal: signal,
+    onRepair: onRepair
+  });
+}
+
+/**
+ * List the places a generated table can be created in
+ * @returns {Array<Object>} - The destinations ({ value, label }); "" is the world without a folder
+ */
+export function getTableDestinations() {
+  const folders = game.folders.filter(folder => folder.type === 'RollTable');
+  const packs = game.packs.filter(pack => pack.documentName === 'RollTable' && !pack.locked);
+  return [
+    { value: "", label: "World" },
+    ...folders.map(folder => ({ value: `folder:${folder.id}`, label: `Folder: ${folder.name}` })),
+    ...packs.map(pack => ({ value: `pack:${pack.collection}`, label: `Compendium: ${pack.title}` }))
+  ];
+}
+
+/**
+ * Create the RollTable for a generated table
+ * @param {Object} table - The table ({ name, description, formula, results }), with results in table order
+ * @param {Object} [options] - Creation options
+ * @param {string} [options.destination=""] - Where to create it (see getTableDestinations)
+ * @returns {Promise<RollTable>} - The created table
+ */
+export async function createGeneratedTable(table, { destination = "" } = {}) {
+  const range = await getFormulaRange(table.formula);
+  const problem = checkResults(table.results, range);
+  if (problem) throw new Error(problem);
+
+  const data = {
+    name: table.name,
+    description: escapeHtml(table.description),
+    formula: table.formula,
+    replacement: true,
+    displayRoll: true,
+    results: computeRanges(table.results, range.min).map(result => ({
+      type: CONST.TABLE_RESULT_TYPES.TEXT,
+      // The text is shown as HTML when the table is drawn, and comes from the model
+      text: escapeHtml(result.text),
+      weight: result.weight,
+      range: result.range
+    }))
+  };
+
+  const [kind, id] = destination.split(':');
+  if (kind === 'folder') data.folder = id;
+  const options = kind === 'pack' ? { pack: destination.slice('pack:'.length) } : {};
+
+  return RollTable.create(data, options);
+}
+
+/**
+ * Window for describing a table, previewing and editing the generated results, and creating the RollTable
+ */
+export class TableGenerator extends Application {
+  /**
+   * @param {Object} [options] - Application options
+   * @param {string} [options.formula="1d20"] - The dice formula to start with
+   * @param {string} [options.theme] - The theme to start with
+   */
+  constructor(options = {}) {
+    super(options);
+    this.formula = options.formula || "1d20";
+    this.theme = options.theme || "";
+    this.context = null;
+    this.destination = "";
+    this.table = null;
+    this.status = "";
+    this.error = null;
+    this.abortController = null;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'divination-table-generator',
+      title: "Divination: Generate Table",
+      template: 'modules/divination/templates/table-generator.hbs',
+      classes: ['divination-table-generator'],
+      width: 560,
+      height: 680,
+      resizable: true,
+      dragDrop: [{ dropSelector: '.divination-table-context' }]
+    });
+  }
+
+  /**
+   * Open the generator, reusing the open one if there is one
+   * @param {Object} [options] - Values to start with
+   * @param {string} [options.formula] - The dice formula
+   * @param {string} [options.theme] - The theme; the table is generated right away if given
+   * @returns {TableGenerator} - The generator
+   */
+  static open({ formula = "", theme = "" } = {}) {
+    const generator = Object.values(ui.windows).find(app => app instanceof TableGenerator) || new TableGenerator();
+    if (!generator.abortController) {
+      if (formula) generator.formula = formula;
+      if (theme) generator.theme = theme;
+    }
+    generator.render(true);
+    if (theme) generator.generate();
+    return generator;
+  }
+
+  /**
+   * @returns {Promise<Object>} - The template data
+   */
+  async getData() {
+    let error = null;
+    if (this.error) {
+      const { title, hint } = describeError(this.error);
+      error = { title, hint, message: this.error.message };
+    }
+
+    let preview = null;
+    if (this.table) {
+      let range = null;
+      let problem = null;
+      try {
+        range = await getFormulaRange(this.table.formula);
+        problem = checkResults(this.table.results, range);
+      } catch (formulaError) {
+        problem = formulaError.message;
+      }
+      preview = {
+        ...this.table,
+        results: range ? computeRanges(this.table.results, range.min) : this.table.results,
+        problem: problem
+      };
+    }
+
+    return {
+      formula: this.formula,
+      theme: this.theme,
+      context: this.context,
+      destination: this.destination,
+      destinations: getTableDestinations(),
+      generating: Boolean(this.abortController),
+      status: this.status,
+      error: error,
+      preview: preview
+    };
+  }
+
+  /**
+   * Activate listeners for the generator
+   * @param {jQuery} html - The rendered generator
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('input[name="formula"]').on('input', (event) => this.formula = event.currentTarget.value.trim());
+    html.find('textarea[name="theme"]').on('input', (event) => this.theme = event.currentTarget.value);
+    html.find('select[name="destination"]').on('change', (event) => this.destination = event.currentTarget.value);
+
+    html.find('.divination-table-context-remove').on('click', (event) => {
+      event.preventDefault();
+      this.context = null;
+      this.render();
+    });
+
+    html.find('.divination-generate').on('click', (event) => {
+      event.preventDefault();
+      this.generate();
+    });
+
+    html.find('.divination-generate-stop').on('click', (event) => {
+      event.preventDefault();
+      this.abortController?.abort();
+    });
+
+    // Edits to the preview change the table; weights change the ranges and blank results block
+    // creating the table, so they re-render
+    html.find('input[name="table-name"]').on('input', (event) => this.table.name = event.currentTarget.value);
+    html.find('input[name="result-text"]').on('input', (event) => {
+      this.table.results[Number(event.currentTarget.dataset.index)].text = event.currentTarget.value;
+    });
+    html.find('input[name="result-text"]').on('change', () => this.render());
+    html.find('input[name="result-weight"]').on('change', (event) => {
+      const weight = Math.max(1, Math.floor(Number(event.currentTarget.value)) || 1);
+      this.table.results[Number(event.currentTarget.dataset.index)].weight = weight;
+      this.render();
+    });
+
+    html.find('.divination-table-result-remove').on('click', (event) => {
+      event.preventDefault();
+      this.table.results.splice(Number(event.currentTarget.dataset.index), 1);
+      this.render();
+    });
+
+    html.find('.divination-table-result-add').on('click', (event) => {
+      event.preventDefault();
+      this.table.results.push({ text: "", weight: 1 });
+      this.render();
+    });
+
+    html.find('.divination-generate-create').on('click', async (event) => {
+      event.preventDefault();
+      await this.createTable();
+    });
+  }
+
+  /**
+   * Use a dropped journal or journal page as context
+   * @param {DragEvent} event - The drop event
+   */
+  async _onDrop(event) {
+    const data = TextEditor.getDragEventData(event);
+    if (!['JournalEntry', 'JournalEntryPage'].includes(data.type)) return;
+
+    const doc = await fromUuid(data.uuid);
+    if (!doc) return;
+
+    this.context = toContextReference({
+      type: data.type === 'JournalEntry' ? 'journal' : 'page',
+      id: doc.id,
+      uuid: doc.uuid,
+      name: doc.name,
+      journalName: doc.parent?.name || ""
+    });
+    this.render();
+  }
+
+  /**
+   * Generate a table from the formula, theme and context
+   * @returns {Promise<void>}
+   */
+  async generate() {
+    if (this.abortController) return;
+    if (!this.theme.trim()) {
+      ui.notifications.warn("Describe what the table is for first.");
+      return;
+    }
+
+    this.abortController = new AbortController();
+    this.error = null;
+    this.status = "Generating...";
+    this.render();
+
+    try {
+      const contextItem = this.context ? await resolveContextItem(this.context) : null;
+      if (this.context && !contextItem) {
+        ui.notifications.warn(`Divination: Context not available: ${this.context.name}`);
+      }
+
+      const formula = this.formula;
+      const table = await generateTable({
+        formula: formula,
+        theme: this.theme.trim(),
+        contextItem: contextItem,
+        signal: this.abortController.signal,
+        onRepair: (attempt) => {
+          this.status = `The reply didn't match the format. Asking for a fix (${attempt})...`;
+          this.render();
+        }
+      });
+      this.table = { ...table, formula };
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error("Divination | Error generating a table", error);
+        this.error = error;
+      }
+    } finally {
+      this.abortController = null;
+      this.status = "";
+      this.render();
+    }
+  }
+
+  /**
+   * Create the previewed table and open it
+   * @returns {Promise<void>}
+   */
+  async createTable() {
+    if (!this.table) return;
+
+    try {
+      const table = await createGeneratedTable(this.table, { destination: this.destination });
+      if (!table) return;
+      ui.notifications.info(`Created ${table.name}.`);
+      table.sheet.render(true);
+      this.close();
+    } catch (error) {
+      console.error("Divination | Error creating the generated table", error);
+      ui.notifications.error(`Could not create the table: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a running request when the window is closed
+   * @param {Object} [options] - Close options
+   * @returns {Promise<void>}
+   */
+  async close(options) {
+    this.abortController?.abort();
+    return super.close(options);
+  }
+}
@@ -0,0 +1,596 @@
+/**
+ * JSON-aware templating for the Payload JSON setting
+ *
+ * Templates use a small Handlebars-like syntax:
+ * - {{Variable}} and {{Variable.path}} insert a value
+ * - {{#if expr}}...{{else}}...{{/if}} and {{#unless expr}}...{{/unless}} render conditionally
+ * - {{#each List}}...{{/each}} repeats for each item, with {{this}}, {{@index}}, {{@first}} and {{@last}}
+ * - Conditions may use the helpers (eq a b), (ne a b), (not a), (and a b), (or a b), (gt a b) and (lt a b)
+ * - {{! comment }} is ignored
+ *
+ * Values are inserted according to where they appear in the JSON: inside a string they are
+ * escaped as string content, anywhere else they are written as JSON values (strings quoted,
+ * numbers and booleans bare, arrays and objects serialized). Trailing commas left behind by
+ * loops and conditionals are removed. Errors report the template line they come from.
+ */
+
+/**
+ * Variables available to payload templates, with descriptions for the settings UI and docs
+ * @type {Object<string, string>}
+ */
+export const TEMPLATE_VARIABLES = {
+  SystemMessage: "The system prompt, including the conversation memory and context items",
+  SystemPrompt: "The system prompt and conversation memory, without context items",
+  UserMessage: "The new message, prefixed with the previous conversation as text when there is one",
+  Message: "The new message on its own",
+  MessageHistory: "The conversation as a list of { role, content } messages, ending with the new message",
+  Context: "The previous conversation as text",
+  ContextItems: "The context items as a list of { type, name, journalName, content }",
+  Model: "The Model setting",
+  Temperature: "The Temperature setting",
+  MaxTokens: "The Max Response Tokens setting",
+  Stream: "Whether the response should be streamed",
+  UserName: "The name of the user sending the message",
+  AssistantName: "The Assistant Name setting"
+};
+
+/**
+ * Block helpers and the number of arguments they take
+ * @type {Object<string, number>}
+ */
+const CONDITION_HELPERS = {
+  eq: 2,
+  ne: 2,
+  gt: 2,
+  lt: 2,
+  and: 2,
+  or: 2,
+  not: 1
+};
+
+/**
+ * An error in a template, located on a template line where possible
+ */
+export class TemplateError extends Error {
+  /**
+   * Create a new TemplateError
+   * @param {string} reason - What is wrong
+   * @param {number|null} [line=null] - The template line the error comes from
+   * @param {string} [source=""] - The template source, used to quote the offending line
+   */
+  constructor(reason, line = null, source = "") {
+    super(line ? `Payload JSON template, line ${line}: ${reason}` : `Payload JSON template: ${reason}`);
+    this.name = 'TemplateError';
+    this.reason = reason;
+    this.line = line;
+    this.excerpt = line && source ? source.split('\n')[line - 1]?.trim() || "" : "";
+  }
+}
+
+/**
+ * Render a payload template and parse the result
+ * @param {string} source - The template
+ * @param {Object} variables - The template variables
+ * @returns {Object} - The payload
+ * @throws {TemplateError} - If the template is invalid or doesn't produce valid JSON
+ */
+export function renderJsonTemplate(source, variables) {
+  const { text, segments } = renderTemplate(source, variables);
+  const { text: cleaned, positions } = removeTrailingCommas(text);
+
+  try {
+    return JSON.parse(cleaned);
+  } catch (parseError) {
+    const located = locateJsonError(cleaned) || { index: cleaned.length - 1, message: parseError.message };
+    const position = positions[Math.min(located.index, positions.length - 1)] ?? text.length - 1;
+    throw new TemplateError(`Invalid JSON: ${located.message}`, lineAtPosition(segments, position), source);
+  }
+}
+
+/**
+ * Check a template against sample values
+ * @param {string} source - The template
+ * @returns {TemplateError|null} - The first error found, or null if the template is valid
+ */
+export function validateTemplate(source) {
+  try {
+    renderJsonTemplate(source, getSampleVariables());
+    return null;
+  } catch (error) {
+    if (error instanceof TemplateError) return error;
+    throw error;
+  }
+}
+
+/**
+ * Sample values for every template variable, used for validation
+ * @returns {Object} - The sample variables
+ */
+export function getSampleVariables() {
+  const history = [
+    { role: 'user', content: "Hello" },
+    { role: 'assistant', content: "Greetings!" },
+    { role: 'user', content: "Describe the \"Prancing Pony\".\nKeep it short." }
+  ];
+
+  return {
+    SystemMessage: "You are a helpful assistant.",
+    SystemPrompt: "You are a helpful assistant.",
+    UserMessage: history[2].content,
+    Message: history[2].content,
+    MessageHistory: history,
+    Context: "Previous conversation:\n\nUser: Hello\n\nAssistant: Greetings!",
+    ContextItems: [{ type: 'journal', name: "Bree", journalName: "", content: "A village." }],
+    Model: "model",
+    Temperature: 0.7,
+    MaxTokens: 1024,
+    Stream: false,
+    UserName: "Gamemaster",
+    AssistantName: "Divination"
+  };
+}
+
+/**
+ * Render a template to text
+ * @param {string} source - The template
+ * @param {Object} variables - The template variables
+ * @returns {{text: string, segments: Array}} - The text, and the template line each part of it came from
+ */
+export function renderTemplate(source, variables) {
+  const nodes = parseTemplate(source);
+  const writer = new JsonWriter();
+  renderNodes(nodes, { root: variables, scopes: [] }, writer, source);
+  return { text: writer.text, segments: writer.segments };
+}
+
+/**
+ * Parse a template into a tree of nodes
+ * @param {string} source - The template
+ * @returns {Array} - The nodes
+ * @throws {TemplateError} - If the template syntax is invalid
+ * @private
+ */
+function parseTemplate(source) {
+  const root = { body: [] };
+  const stack = [{ node: root, target: root.body }];
+  const tagPattern = /{{([\s\S]*?)}}/g;
+  let lastIndex = 0;
+  let match;
+
+  const lineAt = (index) => source.substring(0, index).split('\n').length;
+  const current = () => stack[stack.length - 1];
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    const line = lineAt(match.index);
+
+    if (match.index > lastIndex) {
+      current().target.push({ type: 'text', value: source.substring(lastIndex, match.index), line: lineAt(lastIndex) });
+    }
+    lastIndex = tagPattern.lastIndex;
+
+    const tag = match[1].trim();
+
+    if (tag.startsWith('!')) continue;
+
+    if (tag.startsWith('#')) {
+      const [, helper, rest] = tag.match(/^#(\S+)\s*([\s\S]*)$/);
+      if (!['if', 'unless', 'each'].includes(helper)) {
+        throw new TemplateError(`Unknown block {{#${helper}}}. Use #if, #unless or #each.`, line, source);
+      }
+      if (!rest) {
+        throw new TemplateError(`{{#${helper}}} needs a value to test or loop over.`, line, source);
+      }
+      const block = { type: 'block', helper, expr: parseExpression(rest, line, source), body: [], inverse: [], line };
+      current().target.push(block);
+      stack.push({ node: block, target: block.body });
+    } else if (tag.startsWith('/')) {
+      const helper = tag.substring(1).trim();
+      const open = current().node;
+      if (open === root) {
+        throw new TemplateError(`{{/${helper}}} has no matching {{#${helper}}}.`, line, source);
+      }
+      if (open.helper !== helper) {
+        throw new TemplateError(`{{/${helper}}} closes {{#${open.helper}}} opened on line ${open.line}.`, line, source);
+      }
+      stack.pop();
+    } else if (tag === 'else') {
+      const open = current().node;
+      if (open === root || open.helper === 'each' || current().target === open.inverse) {
+        throw new TemplateError("{{else}} can only be used once inside {{#if}} or {{#unless}}.", line, source);
+      }
+      current().target = open.inverse;
+    } else {
+      current().target.push({ type: 'value', expr: parseExpression(tag, line, source), raw: tag, line });
+    }
+  }
+
+  if (lastIndex < source.length) {
+    current().target.push({ type: 'text', value: source.substring(lastIndex), line: lineAt(lastIndex) });
+  }
+
+  if (stack.length > 1) {
+    const open = current().node;
+    throw new TemplateError(`{{#${open.helper}}} is never closed with {{/${open.helper}}}.`, open.line, source);
+  }
+
+  return root.body;
+}
+
+/**
+ * Parse an expression: a variable path, a literal, or a (helper arg arg) call
+ * @param {string} text - The expression text
+ * @param {number} line - The template line
+ * @param {string} source - The template source
+ * @returns {Object} - The expression node
+ * @private
+ */
+function parseExpression(text, line, source) {
+  const tokens = text.match(/\(|\)|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\s()]+/g) || [];
+  let position = 0;
+
+  const parseNext = () => {
+    const token = tokens[position++];
+    if (token === undefined) {
+      throw new TemplateError(`Incomplete expression "${text}".`, line, source);
+    }
+
+    if (token === '(') {
+      const name = tokens[position++];
+      const arity = CONDITION_HELPERS[name];
+      if (arity === undefined) {
+        throw new TemplateError(`Unknown helper "${name}" in "${text}". Available helpers: ${Object.keys(CONDITION_HELPERS).join(', ')}.`, line, source);
+      }
+      const args = [];
+      while (tokens[position] !== ')') {
+        if (position >= tokens.length) {
+          throw new TemplateError(`Missing ")" in "${text}".`, line, source);
+        }
+        args.push(parseNext());
+      }
+      position++;
+      if (args.length !== arity) {
+        throw new TemplateError(`Helper "${name}" takes ${arity} argument${arity === 1 ? '' : 's'}, got ${args.length}.`, line, source);
+      }
+      return { type: 'call', name, args };
+    }
+
+    if (token === ')') {
+      throw new TemplateError(`Unexpected ")" in "${text}".`, line, source);
+    }
+    if (/^["']/.test(token)) {
+      return { type: 'literal', value: token.slice(1, -1).replace(/\\(.)/g, '$1') };
+    }
+    if (/^-?\d+(\.\d+)?$/.test(token)) {
+      return { type: 'literal', value: Number(token) };
+    }
+    if (token === 'true' || token === 'false' || token === 'null') {
+      return { type: 'literal', value: JSON.parse(token) };
+    }
+    return { type: 'path', parts: token.split('.'), raw: token };
+  };
+
+  const expr = parseNext();
+  if (position < tokens.length) {
+    throw new TemplateError(`Unexpected "${tokens[position]}" in "${text}". Wrap helpers in parentheses, e.g. (eq role "user").`, line, source);
+  }
+  return expr;
+}
+
+/**
+ * Render nodes into the writer
+ * @param {Array} nodes - The nodes
+ * @param {Object} context - The root variables and loop scopes
+ * @param {JsonWriter} writer - The output
+ * @param {string} source - The template source
+ * @private
+ */
+function renderNodes(nodes, context, writer, source) {
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      writer.writeText(node.value, node.line);
+    } else if (node.type === 'value') {
+      writer.writeValue(evaluate(node.expr, context, node.line, source), node.line);
+    } else if (node.helper === 'each') {
+      const list = evaluate(node.expr, context, node.line, source);
+      if (list === null || list === undefined) continue;
+      if (!Array.isArray(list)) {
+        throw new TemplateError(`{{#each}} needs a list, but "${node.expr.raw}" is not one.`, node.line, source);
+      }
+      list.forEach((item, index) => {
+        const scope = { item, index, first: index === 0, last: index === list.length - 1 };
+        renderNodes(node.body, { root: context.root, scopes: [...context.scopes, scope] }, writer, source);
+      });
+    } else {
+      let condition = isTruthy(evaluate(node.expr, context, node.line, source));
+      if (node.helper === 'unless') condition = !condition;
+      renderNodes(condition ? node.body : node.inverse, context, writer, source);
+    }
+  }
+}
+
+/**
+ * Evaluate an expression
+ * @param {Object} expr - The expression node
+ * @param {Object} context - The root variables and loop scopes
+ * @param {number} line - The template line
+ * @param {string} source - The template source
+ * @returns {*} - The value
+ * @private
+ */
+function evaluate(expr, context, line, source) {
+  if (expr.type === 'literal') return expr.value;
+
+  if (expr.type === 'call') {
+    const [a, b] = expr.args.map(arg => evaluate(arg, context, line, source));
+    switch (expr.name) {
+      case 'eq': return a === b;
+      case 'ne': return a !== b;
+      case 'gt': return a > b;
+      case 'lt': return a < b;
+      case 'and': return isTruthy(a) && isTruthy(b);
+      case 'or': return isTruthy(a) || isTruthy(b);
+      case 'not': return !isTruthy(a);
+    }
+  }
+
+  const [first, ...rest] = expr.parts;
+  const scope = context.scopes[context.scopes.length - 1];
+  let value;
+
+  if (first === 'this') {
+    value = scope ? scope.item : context.root;
+  } else if (first === '@root') {
+    value = context.root;
+  } else if (first.startsWith('@')) {
+    const key = first.substring(1);
+    if (!scope || !['index', 'first', 'last'].includes(key)) {
+      throw new TemplateError(`{{${expr.raw}}} can only be used inside {{#each}}.`, line, source);
+    }
+    value = scope[key];
+  } else {
+    // Look the name up on the loop items, innermost first, then on the root variables
+    const owner = [...context.scopes].reverse()
+      .map(s => s.item)
+      .find(item => item !== null && typeof item === 'object' && first in item);
+
+    if (owner) {
+      value = owner[first];
+    } else if (first in context.root) {
+      value = context.root[first];
+    } else {
+      throw new TemplateError(`Unknown variable {{${expr.raw}}}. Available variables: ${Object.keys(context.root).join(', ')}.`, line, source);
+    }
+  }
+
+  for (const part of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Template truthiness: empty strings, empty lists, 0, null and false are false
+ * @param {*} value - The value
+ * @returns {boolean} - Whether the value counts as true
+ * @private
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+/**
+ * Accumulates rendered text, tracking whether the output is inside a JSON string
+ * and which template line each part came from
+ * @private
+ */
+class JsonWriter {
+  constructor() {
+    this.text = "";
+    this.segments = [];
+    this.inString = false;
+    this.escaped = false;
+  }
+
+  /**
+   * Write literal template text
+   * @param {string} value - The text
+   * @param {number} line - The template line it starts on
+   */
+  writeText(value, line) {
+    let currentLine = line;
+    let pending = "";
+
+    for (const char of value) {
+      if (this.escaped) {
+        this.escaped = false;
+      } else if (char === '\\' && this.inString) {
+        this.escaped = true;
+      } else if (char === '"') {
+        this.inString = !this.inString;
+      } else if (char === '\n' && this.inString) {
+        // A line break typed inside a string would be invalid JSON; keep it as an escape
+        pending += '\\n';
+        this._append(pending, currentLine++);
+        pending = "";
+        continue;
+      }
+
+      pending += char;
+      if (char === '\n') {
+        this._append(pending, currentLine++);
+        pending = "";
+      }
+    }
+
+    this._append(pending, currentLine);
+  }
+
+  /**
+   * Write a variable's value, escaped for where it appears
+   * @param {*} value - The value
+   * @param {number} line - The template line
+   */
+  writeValue(value, line) {
+    if (this.inString) {
+      let text;
+      if (value === null || value === undefined) text = "";
+      else if (typeof value === 'object') text = JSON.stringify(value);
+      else text = String(value);
+      this._append(JSON.stringify(text).slice(1, -1), line);
+    } else {
+      this._append(JSON.stringify(value === undefined ? null : value), line);
+    }
+  }
+
+  /**
+   * Append text and record its template line
+   * @param {string} text - The text
+   * @param {number} line - The template line
+   * @private
+   */
+  _append(text, line) {
+    if (!text) return;
+    this.segments.push({ start: this.text.length, end: this.text.length + text.length, line });
+    this.text += text;
+  }
+}
+
+/**
+ * Find the template line that produced a position in the rendered text
+ * @param {Array} segments - The writer's segments
+ * @param {number} position - The position in the rendered text
+ * @returns {number|null} - The template line
+ * @private
+ */
+function lineAtPosition(segments, position) {
+  const segment = segments.find(s => position >= s.start && position < s.end) || segments[segments.length - 1];
+  return segment ? segment.line : null;
+}
+
+/**
+ * Remove commas directly followed by a closing bracket or brace, outside of strings
+ * @param {string} text - The rendered JSON text
+ * @returns {{text: string, positions: Array<number>}} - The cleaned text, and for each of its
+ *   characters the position it had in the original text
+ * @private
+ */
+function removeTrailingCommas(text) {
+  let result = "";
+  const positions = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === ',') {
+      const next = text.substring(i + 1).match(/^\s*(.)/);
+      if (next && (next[1] === ']' || next[1] === '}')) continue;
+    }
+
+    result += char;
+    positions.push(i);
+  }
+
+  return { text: result, positions };
+}
+
+/**
+ * Find where and why a text is not valid JSON.
+ * JSON.parse error messages differ between browsers and don't always include a position.
+ * @param {string} text - The text
+ * @returns {{index: number, message: string}|null} - The error, or null if the text is valid
+ * @private
+ */
+function locateJsonError(text) {
+  let i = 0;
+
+  const fail = (message) => {
+    throw { index: Math.min(i, Math.max(0, text.length - 1)), message };
+  };
+  const skipWhitespace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+  const readString = () => {
+    i++;
+    while (i < text.length) {
+      const char = text[i];
+      if (char === '\\') {
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        i++;
+        return;
+      }
+      if (char < ' ') fail("Line breaks and control characters must be escaped inside strings");
+      i++;
+    }
+    fail("Unterminated string");
+  };
+  const readValue = () => {
+    skipWhitespace();
+    const char = text[i];
+
+    if (char === undefined) fail("Unexpected end of JSON");
+
+    if (char === '{' || char === '[') {
+      const close = char === '{' ? '}' : ']';
+      i++;
+      skipWhitespace();
+      if (text[i] === close) {
+        i++;
+        return;
+      }
+      for (;;) {
+        if (char === '{') {
+          skipWhitespace();
+          if (text[i] !== '"') fail("Expected a property name in double quotes");
+          readString();
+          skipWhitespace();
+          if (text[i] !== ':') fail("Expected ':' after the property name");
+          i++;
+        }
+        readValue();
+        skipWhitespace();
+        if (text[i] === ',') {
+          i++;
+          continue;
+        }
+        if (text[i] === close) {
+          i++;
+          return;
+        }
+        fail(`Expected ',' or '${close}'`);
+      }
+    }
+
+    if (char === '"') return readString();
+
+    const literal = text.substring(i).match(/^(-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?|true|false|null)/);
+    if (literal) {
+      i += literal[0].length;
+      return;
+    }
+
+    fail(`Unexpected character '${char}'`);
+  };
+
+  try {
+    readValue();
+    skipWhitespace();
+    if (i < text.length) fail("Unexpected content after the end of the JSON");
+    return null;
+  } catch (error) {
+    if (error && typeof error.index === 'number') return error;
+    throw error;
+  }
+}
@@ -41,9 +41,8 @@ export function log(options) {
  * @returns {Boolean} - Whether the JSON is valid against the schema
  */
 export function validateJsonAgainstSchema(json, schema) {
-  // Simple validation implementation - for production use, consider a library like ajv
   try {
-    return json && typeof json === 'object';
+    return getSchemaErrors(json, schema).length === 0;
   } catch (error) {
     log({
       message: "Error validating JSON against schema.",
@@ -54,6 +53,102 @@ export function validateJsonAgainstSchema(json, schema) {
   }
 }
 
+/**
+ * List the ways a value fails a JSON schema.
+ * Supports the keywords used for structured output: type, enum, const, properties, required,
+ * additionalProperties, items, minItems, maxItems, minimum, maximum, minLength, maxLength and pattern.
+ * @param {*} value - The value to check
+ * @param {Object} schema - The JSON schema
+ * @param {String} [path="$"] - Where the value is, used in the messages
+ * @returns {Array<String>} - One message per problem (e.g. "$.abilities.str: must be at most 30"); empty if the value is valid
+ */
+export function getSchemaErrors(value, schema, path = "$") {
+  if (!schema || typeof schema !== 'object') return [];
+  
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesSchemaType(value, type))) {
+      return [`${path}: must be ${types.join(' or ')}, not ${describeJsonType(value)}`];
+    }
+  }
+  
+  const errors = [];
+  
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && schema.const !== value) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+  
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be at most ${schema.maximum}`);
+  }
+  
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must have at least ${schema.minLength} character${schema.minLength === 1 ? '' : 's'}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must have at most ${schema.maxLength} character${schema.maxLength === 1 ? '' : 's'}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: must match ${schema.pattern}`);
+  }
+  
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...getSchemaErrors(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+  
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (key in properties) {
+        errors.push(...getSchemaErrors(propertyValue, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...getSchemaErrors(propertyValue, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Check a value against a JSON schema type
+ * @param {*} value - The value
+ * @param {String} type - The JSON schema type
+ * @returns {Boolean} - Whether the value has the type
+ * @private
+ */
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Name the JSON type of a value, for error messages
+ * @param {*} value - The value
+ * @returns {String} - The type name
+ * @private
+ */
+function describeJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
 /**
  * Truncates the message history to the specified length
  * @param {Array} messages - The message history array
@@ -76,4 +171,160 @@ export function truncateMessageHistory(messages, maxLength) {
   
   // Otherwise just keep the most recent messages
   return messages.slice(-1 * maxLength);
-} 
\ No newline at end of file
+}
+
+/**
+ * Read a value from an object using a dot-notation path (e.g. "choices.0.message.content")
+ * @param {Object} obj - The object to read from
+ * @param {String} path - The dot-notation path
+ * @returns {*} - The value at the path, or undefined if any segment is missing
+ */
+export function getValueAtPath(obj, path) {
+  if (!path) return undefined;
+  return path.split('.').reduce((o, key) => (o === null || o === undefined) ? undefined : o[key], obj);
+}
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {String} text - The text to escape
+ * @returns {String} - The escaped text
+ */
+export function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Rough number of characters per token for English text
+ * @type {Number}
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Tokens added per message for role markers and formatting
+ * @type {Number}
+ */
+const TOKENS_PER_MESSAGE = 4;
+
+/**
+ * Smallest part of a context item worth including when it has to be cut short
+ * @type {Number}
+ */
+const MIN_PARTIAL_CONTEXT_TOKENS = 100;
+
+/**
+ * Estimate the number of tokens in a text.
+ * This is a heuristic (about four characters per token) rather than a real tokenizer,
+ * which is close enough to keep a prompt inside a context window.
+ * @param {String} text - The text to estimate
+ * @returns {Number} - The estimated token count
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Format a context item as a section of the system prompt
+ * @param {Object} item - The context item
+ * @param {String} [content] - The content to use instead of item.content
+ * @returns {String} - The formatted section
+ */
+export function formatContextItem(item, content = item.content) {
+  if (item.type === 'journal') {
+    return `## JOURNAL: ${item.name}\n\n${content}\n\n`;
+  } else if (item.type === 'page') {
+    return `## PAGE: ${item.name} (from ${item.journalName || 'journal'})\n\n${content}\n\n`;
+  } else if (item.type === 'actor') {
+    return `## ACTOR: ${item.name}\n\n${content}\n\n`;
+  }
+  return `## ${item.name || 'DOCUMENT'}\n\n${content}\n\n`;
+}
+
+/**
+ * Pack the system prompt, context items and message history into a token budget.
+ * Parts are added in priority order: the system prompt and the new message always,
+ * then context items in the order they were added (the last one that fits may be cut short),
+ * then as many of the most recent messages as still fit.
+ * @param {Object} options - Packing options
+ * @param {String} options.systemPrompt - The system prompt
+ * @param {Array} [options.contextItems] - Context items to add to the system prompt
+ * @param {Array} [options.history] - Previous messages, oldest first
+ * @param {Object} options.message - The new user message
+ * @param {Number} options.budget - The token budget (0 for unlimited)
+ * @returns {Object} - The packed systemPrompt, contextItems and messages, and a report of what was cut
+ */
+export function packContext({ systemPrompt, contextItems = [], history = [], message, budget }) {
+  const unlimited = !budget || budget <= 0;
+  const messageTokens = (m) => estimateTokens(m.content) + TOKENS_PER_MESSAGE;
+  
+  let used = estimateTokens(systemPrompt) + messageTokens(message);
+  const report = {
+    budget: unlimited ? 0 : budget,
+    used: 0,
+    contextItems: [],
+    droppedMessages: 0
+  };
+  
+  // Context items, whole while they fit
+  const header = "Additional reference material:\n\n";
+  const sections = [];
+  const packedItems = [];
+  for (const item of contextItems) {
+    const section = formatContextItem(item);
+    const tokens = estimateTokens(section);
+    const entry = { id: item.id, type: item.type, name: item.name, status: 'included', tokens: tokens };
+    const headerTokens = sections.length ? 0 : estimateTokens(header);
+    const remaining = unlimited ? Infinity : budget - used - headerTokens;
+    
+    if (tokens <= remaining) {
+      sections.push(section);
+      packedItems.push(item);
+      used += tokens + headerTokens;
+    } else if (remaining >= MIN_PARTIAL_CONTEXT_TOKENS) {
+      // Cut the item short rather than leaving it out entirely
+      const emptyTokens = estimateTokens(formatContextItem(item, ""));
+      const keepChars = Math.max(0, (remaining - emptyTokens) * CHARS_PER_TOKEN - 20);
+      const content = `${item.content.substring(0, keepChars)}\n[...truncated]`;
+      const partial = formatContextItem(item, content);
+      sections.push(partial);
+      packedItems.push({ ...item, content: content });
+      used += estimateTokens(partial) + headerTokens;
+      entry.status = 'truncated';
+      entry.tokens = estimateTokens(partial);
+    } else {
+      entry.status = 'dropped';
+      entry.tokens = 0;
+    }
+    report.contextItems.push(entry);
+  }
+  
+  const packedSystemPrompt = sections.length
+    ? `${systemPrompt}\n\n${header}${sections.join('')}`
+    : systemPrompt;
+  
+  // The most recent messages, newest first, while they fit
+  const kept = [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    const tokens = messageTokens(history[i]);
+    if (!unlimited && used + tokens > budget) {
+      report.droppedMessages = i + 1;
+      break;
+    }
+    kept.unshift(history[i]);
+    used += tokens;
+  }
+  
+  report.used = used;
+  
+  return {
+    systemPrompt: packedSystemPrompt,
+    contextItems: packedItems,
+    messages: [...kept, message],
+    report: report
+  };
+}